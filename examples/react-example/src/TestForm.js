@@ -6,10 +6,20 @@ import './TestForm.css';
 export default class TestForm extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { tags: [] };
+    this.state = { title: '', published: false, tags: [] };
     this.tagInput = React.createRef();
     this.addCurrentTag = this.addCurrentTag.bind(this);
     this.removeTag = this.removeTag.bind(this);
+    this.updateTitle = this.updateTitle.bind(this);
+    this.updatePublished = this.updatePublished.bind(this);
+  }
+
+  updateTitle(event) {
+    this.setState({ title: event.target.value });
+  }
+
+  updatePublished(event) {
+    this.setState({ published: event.target.checked });
   }
 
   addCurrentTag() {
@@ -33,9 +43,19 @@ export default class TestForm extends React.Component {
 
   componentDidMount() {
     let form = ReactDOM.findDOMNode(this);
-    FormPersistence.persist(form, { valueFunctions: {
-      'tag': (form, value) => this.addTag(value)
-    }});
+    // dispatch events on restored elements so that controlled inputs like the title and the published checkbox
+    // update their state, and add tags with a value function as their inputs only exist once they are added to the
+    // state
+    this.persistence = FormPersistence.persist(form, {
+      dispatchEvents: true,
+      valueFunctions: {
+        'tag': (form, value) => this.addTag(value)
+      }
+    });
+  }
+
+  componentWillUnmount() {
+    this.persistence.destroy();
   }
 
   render() {
@@ -50,7 +70,21 @@ export default class TestForm extends React.Component {
       <form id='create-post'>
         <div>
           <label htmlFor='title'>Title</label>
-          <input type='text' name='title' id='title' />
+          <input
+            type='text'
+            name='title'
+            id='title'
+            value={this.state.title}
+            onChange={this.updateTitle} />
+        </div>
+        <div>
+          <label htmlFor='published'>Published</label>
+          <input
+            type='checkbox'
+            name='published'
+            id='published'
+            checked={this.state.published}
+            onChange={this.updatePublished} />
         </div>
         <div>
           <label htmlFor='post-body'>Body</label>
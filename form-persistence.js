@@ -1,28 +1,84 @@
 /**
  * Copyright (c) 2020 Finn Thompson, licensed under the MIT License.
  * 
- * This module implements form persistence across sessions via local storage.
- * * Register a form for persistence with `FormPersistence#persist(form[, options])`.
+ * This module implements form persistence across sessions via local storage or a custom storage adapter.
+ * * Register a form for persistence with `FormPersistence#persist(form[, options])`, which returns a controller.
+ * * Persist forms marked with `data-persist` as they are added to the page with
+ *   `FormPersistence#autoPersist([root[, options]])`.
  * * Save a form to local storage with `FormPersistence#save(form[, options])`.
  * * Load a saved form (e.g. at window load time) with `FormPersistence#load(form[, options])`.
  * * Clear saved form data with `FormPersistence#clearStorage(form[, options])`.
+ * * Remove expired saved form data with `FormPersistence#purgeExpired([options])`.
+ * * Keep multiple named drafts per form with `FormPersistence#saveDraft(form, name[, options])`, `#loadDraft`,
+ *   `#deleteDraft`, and `#listDrafts(form[, options])`.
+ * * Save, load, or clear via promises with `FormPersistence#saveAsync`, `#loadAsync`, and `#clearStorageAsync`.
  * * Serialize form data to an object with `FormPersistence#serialize(form[, options])`.
  * * Deserialize a data object into a form with `FormPersistence#deserialize(form, data[, options])`.
+ * * Compare and merge serialized data with `FormPersistence#diff(a, b)` and
+ *   `FormPersistence#merge(base, local, remote[, strategy])`.
+ * * Record undo and redo history of form data with `FormPersistence#createHistory(form[, options])`.
+ * * Handle custom elements with `FormPersistence#registerElementHandler(matcher, handler)`.
+ * * Listen to `formpersistence:beforesave`, `save`, `beforeload`, `load`, `restore`, `prompt`, `clear`, and `error`
+ *   events on forms.
+ * * Create storage adapters with `FormPersistence#createMemoryStorage()`, `#createCookieStorage([options])`,
+ *   `#createIndexedDBStorage([options])`, `#createFallbackStorage(storages)`, and `#createRemoteStorage(options)`,
+ *   or use the built-in adapters in `FormPersistence#storages`.
  * 
  * See https://github.com/FThompson/FormPersistence.js
  */
 const FormPersistence = (function () {
     /**
-     * Registers the given form for persistence by saving its data to local or session storage.
-     * Saved form data will be stored upon page refresh and cleared upon form submission.
+     * Registers the given form for persistence by saving its data to local, session, or custom storage.
+     * Saved form data will be stored upon page refresh or when the page is hidden, and cleared upon form submission.
      * Saved form data will be loaded upon calling this function, typically on page load.
+     * Options can also be set with the form's `data-persist-*` attributes, like `data-persist-key` for `uuid` or
+     * `data-persist-storage='session'`, which are overridden by the given options.
      * 
      * @param {HTMLFormElement} form    The form to make persistent.
      * @param {Object}          options Options object containing any of the following:
      *  * uuid - A unique identifier for this form's storage key.
      *           Required if using a form without an id. If unspecified, form id will be used.
      *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * maxAge - Saved data older than this many milliseconds is discarded upon loading.
+     *  * expiresAt - A date after which saved data is discarded upon loading.
+     *  * version - The version number of the form's data layout. Older saved data is migrated upon loading.
+     *              Default `0`.
+     *  * migrations - Migration functions like `fromVersion: fn(data)` returning the data for the next version, or
+     *                 a falsy value to discard it. Saved data that cannot be migrated is discarded.
+     *  * encryption - Encrypt saved data and files with AES-GCM via an object containing either a `key` CryptoKey
+     *                 or a `password` from which to derive a key with PBKDF2, optionally with `iterations`.
+     *  * persistFiles - Persist files selected in file inputs to `fileStorage` if `true`. Default `false`.
+     *  * fileStorage - The storage adapter for files, which must support storing non-string values.
+     *                  Default `'indexedDB'`.
+     *  * maxFileSize - The maximum total size in bytes of the files to persist per file input. Larger selections are
+     *                  not persisted. Default 10MB.
+     *  * maxFileSizes - An object mapping file input names to sizes that override `maxFileSize`.
      *  * saveOnSubmit - Save form data upon submit if `true`. Default `false`.
+     *  * autosave - Save form data upon `input` and `change` events if `true`. Default `false`.
+     *  * autosaveDelay - The autosave debounce or throttle interval in milliseconds. Default `500`.
+     *  * autosaveMode - Either `'debounce'` to save once input pauses or `'throttle'` to save at most once per
+     *                   interval while input continues. Default `'debounce'`.
+     *  * syncTabs - Apply data saved by other browser tabs with the same form open to this form if `true`.
+     *               Default `false`.
+     *  * syncStrategy - How to resolve data saved by other tabs: `'last-write-wins'` to apply it, `'merge'` to apply
+     *                   it except fields changed in this tab since the last load or save, or a function like
+     *                   `fn(localData, remoteData, entry)` returning the data to apply, a falsy value to ignore the
+     *                   change, or a promise resolving to either. Default `'last-write-wins'`.
+     *  * restore - When to restore saved data: `'auto'` to load it immediately, `'prompt'` to leave the form untouched
+     *              and call `onPrompt` if data is saved, or `'manual'` to leave the form untouched. Use the returned
+     *              controller to restore or discard saved data. Default `'auto'`.
+     *  * onPrompt - A function like `fn(entry)` called in `'prompt'` mode if data is saved, where `entry` contains
+     *               the saved `data` and its `savedAt` time.
+     *  * observe - Apply loaded data to elements added to the form after loading if `true`. Requires
+     *              `MutationObserver`. Default `false`.
+     *  * warnOnLeave - Ask the user to confirm leaving the page if the form has changed since it was last loaded or
+     *                  saved if `true`. Default `false`.
+     *  * mergeStrategy - Merge saved data into the form's current data instead of overwriting it, keeping changes
+     *                    made to the form's initial data since it was saved, such as by the server. Resolve fields
+     *                    changed on both sides with `'local'` to keep the saved value, `'remote'` to keep the form's
+     *                    value, or a function like `fn(name, localValues, remoteValues, baseValues)`.
      *  * valueFunctions - Special value functions to apply, like `name: fn(form, value)`.
      *  * include - Define a whitelist array of data names to include.
      *  * exclude - Define a blacklist array of data names to exclude.
@@ -30,35 +86,634 @@ const FormPersistence = (function () {
      *                    is included if the function returns true.
      *  * excludeFilter - Define a blacklist filter function that inputs an element and outputs a boolean. The element
      *                    is excluded if the function returns true.
+     *  * format - Use `'nested'` to build nested objects and arrays from bracket and dot notation in names, like
+     *             `address[city]` or `items[0][qty]`, unwrapping single values. Default `'flat'`.
+     *  * typed - Serialize number and range inputs as numbers, date, month, and datetime-local inputs as ISO date
+     *            strings, and empty inputs of these types and time and week inputs as `null` if `true`.
+     *            Default `false`.
+     *  * excludeSensitive - Exclude elements detected as sensitive by their `autocomplete` tokens, like `cc-number`
+     *                       or `one-time-code`, or by `sensitivePatterns` if `true`. Default `true`.
+     *  * sensitivePatterns - Regular expressions matching the names of sensitive elements.
+     *                        Default `FormPersistence.sensitivePatterns`.
+     *  * loadStrategy - Which fields to load data into: `'overwrite'`, `'onlyEmpty'`, `'onlyDefault'`, or a function.
+     *                   See `deserialize`. Default `'overwrite'`.
+     *  * onSkip - A function like `fn(names, reason)` called with the names of elements skipped as `'sensitive'` or
+     *             fields skipped as `'loadStrategy'`.
+     *  * dispatchEvents - Dispatch `input` and `change` events on loaded elements if `true`. See `deserialize`.
+     *                     Default `false`.
+     *  * beforeSave - A function like `fn(data)` returning the data to save, or `false` to cancel saving.
+     *  * afterSave - A function like `fn(data)` called after saving.
+     *  * beforeLoad - A function like `fn(data)` returning the data to load, or `false` to cancel loading.
+     *  * afterLoad - A function like `fn(restoredNames)` called after loading, even if no data was saved.
+     *  * onRestore - A function like `fn(restoredNames)` called after loading if any saved data was restored.
+     *  * onClear - A function called after clearing saved data.
+     *  * onError - A function like `fn(error)` called if saving, loading, or clearing fails when triggered by an
+     *              event or timer rather than by calling the controller, like autosaving or saving upon unloading.
+     * 
+     * @return {Object} A controller for the persisted form, containing the following functions:
+     *  * save() - Saves the form to storage, returning `false` if saving is canceled.
+     *  * load() - Loads the form from storage.
+     *  * clear() - Clears the form's saved data from storage.
+     *  * isDirty() - Returns `true` if the form has changed since it was last loaded or saved.
+     *  * getChangedFields() - Returns the names of the data entries changed since the form was last loaded or saved.
+     *  * hasSavedData() - Returns `true` if usable saved data exists.
+     *  * getSavedData() - Returns the saved entry containing `data`, `savedAt`, `expiresAt`, and `version`, or `null`.
+     *  * restore() - Loads saved data into the form, for use with the `restore` option.
+     *  * discard() - Clears saved data without loading it, for use with the `restore` option.
+     *  * destroy([clear]) - Removes all event listeners added by this function, and clears storage if `clear` is `true`.
+     *  Functions that access storage return promises if the storage adapter is asynchronous.
      */
     function persist(form, options) {
         let defaults = {
-            saveOnSubmit: false
+            saveOnSubmit: false,
+            autosave: false,
+            autosaveDelay: 500,
+            autosaveMode: 'debounce',
+            syncTabs: false,
+            syncStrategy: 'last-write-wins',
+            restore: 'auto',
+            onPrompt: null,
+            observe: false,
+            warnOnLeave: false,
+            onError: null
+        }
+        let config = Object.assign({}, defaults, readDataOptions(form), options)
+        let storageKey = getStorageKey(form, config.uuid)
+        let listeners = []
+        let listen = (target, type, listener) => {
+            target.addEventListener(type, listener)
+            listeners.push({ target, type, listener })
+        }
+        let unlisten = (target, type, listener) => {
+            target.removeEventListener(type, listener)
+            listeners = listeners.filter(entry => entry.listener !== listener || entry.type !== type)
+        }
+        // compare form data without reporting skipped elements on every check
+        let compareConfig = Object.assign({}, config, { onSkip: null })
+        let baseline = null
+        let resetBaseline = data => {
+            baseline = JSON.stringify(data || serialize(form, compareConfig))
+        }
+        // compare to the initial form data until any asynchronous loading resolves
+        resetBaseline()
+        if (config.mergeStrategy) {
+            // save the form's initial data as the base for merging saved data into the form's data on a later load
+            config.base = serialize(form, compareConfig)
+        }
+        let loadForm = () => whenResolved(load(form, config), () => resetBaseline())
+        // report failures of storage access triggered by events and timers, as there is no caller to handle them
+        let runInBackground = fn => reportErrors(form, config.onError, fn)
+        let channel = null
+        let observer = null
+        let saveForm = () => {
+            // keep the form dirty unless its data is saved, such as if saving is canceled or fails
+            let data = serialize(form, compareConfig)
+            let saved = save(form, config)
+            if (saved === false) {
+                return false
+            }
+            return whenResolved(saved, () => {
+                resetBaseline(data)
+                if (channel !== null) {
+                    channel.postMessage({ key: storageKey })
+                }
+            })
+        }
+        let isDirty = () => JSON.stringify(serialize(form, compareConfig)) !== baseline
+        let getChangedFields = () => {
+            let data = serialize(form, compareConfig)
+            let base = JSON.parse(baseline)
+            if (config.format === 'nested') {
+                // report field names rather than the top level keys of nested data
+                data = flatten(form, data, config)
+                base = flatten(form, base, config)
+            }
+            let names = [...new Set(Object.keys(base).concat(Object.keys(data)))]
+            return names.filter(name => JSON.stringify(data[name]) !== JSON.stringify(base[name]))
+        }
+        // avoid overwriting saved data awaiting restoration with unchanged form data
+        let pending = false
+        let autosaveForm = () => runInBackground(() => {
+            if (!pending || isDirty()) {
+                return saveForm()
+            }
+        })
+        let scheduleSave = config.autosaveMode === 'throttle'
+            ? throttle(autosaveForm, config.autosaveDelay)
+            : debounce(autosaveForm, config.autosaveDelay)
+        let stopPersisting = () => {
+            scheduleSave.cancel()
+            for (let { target, type, listener } of listeners) {
+                target.removeEventListener(type, listener)
+            }
+            listeners = []
+            if (channel !== null) {
+                channel.close()
+                channel = null
+            }
+            if (observer !== null) {
+                observer.disconnect()
+                observer = null
+            }
+        }
+        if (config.observe) {
+            // keep the loaded data to apply to elements added later, such as by a framework rendering asynchronously
+            let loading = null
+            let loaded = null
+            let restored = []
+            listen(form, 'formpersistence:beforeload', event => {
+                loading = event
+            })
+            listen(form, 'formpersistence:load', event => {
+                // read the data once all beforeload listeners have had a chance to replace it
+                loaded = loading !== null && !loading.defaultPrevented ? loading.detail.data : null
+                loading = null
+                restored = [...event.detail.restored]
+            })
+            observer = new MutationObserver(() => {
+                if (loaded === null) {
+                    return
+                }
+                let names = getFormElements(form).map(getElementName).filter(name => name && !restored.includes(name)
+                        && !isNameFiltered(name, config.include || [], config.exclude || []))
+                let data = config.format === 'nested' ? flatten(form, loaded, config) : loaded
+                let pending = {}
+                for (let name of names.filter(name => name in data)) {
+                    pending[name] = data[name]
+                }
+                if (Object.keys(pending).length > 0) {
+                    let options = Object.assign({}, config, { format: 'flat', valueFunctions: null })
+                    restored.push(...deserialize(form, pending, options))
+                }
+            })
+            observer.observe(form, { childList: true, subtree: true })
+        }
+        if (config.restore === 'auto') {
+            runInBackground(loadForm)
+        } else {
+            pending = true
+            runInBackground(() => whenResolved(readEntry(form, config), entry => {
+                if (entry === null) {
+                    pending = false
+                } else if (config.restore === 'prompt') {
+                    runAfterHook(form, config.onPrompt, 'prompt', { entry: entry })
+                }
+            }))
+        }
+        if (config.warnOnLeave) {
+            // check for changes before the form is saved upon unloading, which resets the baseline
+            listen(window, 'beforeunload', event => {
+                if (isDirty()) {
+                    event.preventDefault()
+                    event.returnValue = ''
+                }
+            })
         }
-        let config = Object.assign({}, defaults, options)
-        load(form, config)
         // Some devices like ios safari do not support beforeunload events.
         // Unload event does not work in some situations, so we use both unload/beforeunload
         // and remove the unload event if the beforeunload event fires successfully.
-        // If problems persist, we can add listeners on the pagehide event as well.
-        let saveForm = () => save(form, config)
+        // The pagehide and visibilitychange events cover mobile browsers that discard pages without unloading them.
         let saveFormBeforeUnload = () => {
-            window.removeEventListener('unload', saveForm)
-            saveForm()
+            unlisten(window, 'unload', autosaveForm)
+            autosaveForm()
+        }
+        let saveFormWhenHidden = () => {
+            if (document.visibilityState === 'hidden') {
+                autosaveForm()
+            }
+        }
+        listen(window, 'beforeunload', saveFormBeforeUnload)
+        listen(window, 'unload', autosaveForm)
+        listen(window, 'pagehide', autosaveForm)
+        listen(document, 'visibilitychange', saveFormWhenHidden)
+        if (config.autosave) {
+            // listen on the document to catch external elements attached via the form attribute
+            let saveFormOnInput = event => {
+                if (isFormElement(form, event.target)) {
+                    scheduleSave()
+                }
+            }
+            listen(document, 'input', saveFormOnInput)
+            listen(document, 'change', saveFormOnInput)
+        }
+        if (config.syncTabs) {
+            // Use a broadcast channel if supported, which works with any storage adapter, and otherwise fall back to
+            // storage events, which only fire for web storage.
+            let syncForm = () => runInBackground(() => syncFormEntry(form, config, baseline, resetBaseline))
+            if (typeof BroadcastChannel !== 'undefined') {
+                channel = new BroadcastChannel('form-persistence')
+                channel.onmessage = event => {
+                    if (event.data.key === storageKey) {
+                        syncForm()
+                    }
+                }
+            } else {
+                listen(window, 'storage', event => {
+                    if (event.key === storageKey && event.newValue !== null) {
+                        syncForm()
+                    }
+                })
+            }
+        }
+        let clearFormOnSubmit = () => {
+            stopPersisting()
+            runInBackground(() => clearStorage(form, config))
         }
-        window.addEventListener('beforeunload', saveFormBeforeUnload)
-        window.addEventListener('unload', saveForm)
         if (!config.saveOnSubmit) {
-            form.addEventListener('submit', () => {
-                window.removeEventListener('beforeunload', saveFormBeforeUnload)
-                window.removeEventListener('unload', saveForm)
-                clearStorage(form, config)
+            form.addEventListener('submit', clearFormOnSubmit)
+        }
+        return {
+            save: saveForm,
+            load: loadForm,
+            clear: () => clearStorage(form, config),
+            isDirty: isDirty,
+            getChangedFields: getChangedFields,
+            hasSavedData: () => whenResolved(readEntry(form, config), entry => entry !== null),
+            getSavedData: () => readEntry(form, config),
+            restore: () => {
+                pending = false
+                return loadForm()
+            },
+            discard: () => {
+                pending = false
+                return clearStorage(form, config)
+            },
+            destroy: clear => {
+                stopPersisting()
+                form.removeEventListener('submit', clearFormOnSubmit)
+                if (clear) {
+                    return clearStorage(form, config)
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies a given form's saved entry, as changed by another browser tab, to the form.
+     * 
+     * @param {HTMLFormElement} form          The persisted form.
+     * @param {Object}          config        The persist config containing the `syncStrategy` option.
+     * @param {String}          baseline      The JSON of the form data when last loaded or saved.
+     * @param {Function}        resetBaseline A function to reset the baseline to the given data, or the current form
+     *                                        data if not given.
+     * 
+     * @return {Promise|undefined} A promise resolving once synced if reading the entry is asynchronous.
+     */
+    function syncFormEntry(form, config, baseline, resetBaseline) {
+        // apply synced data to all fields, as fields changed in this tab are resolved by the sync strategy instead
+        let syncConfig = Object.assign({}, config, { loadStrategy: 'overwrite' })
+        return whenResolved(readEntry(form, config), entry => {
+            let local = serialize(form, config)
+            if (entry === null || JSON.stringify(local) === JSON.stringify(entry.data)) {
+                return
+            }
+            // compare later changes to the synced data so that values applied from other tabs are not local changes
+            if (config.syncStrategy === 'merge') {
+                // keep the fields changed in this tab since the last load or save
+                deserialize(form, merge(JSON.parse(baseline), local, entry.data, 'local'), syncConfig)
+                resetBaseline(entry.data)
+            } else if (typeof config.syncStrategy === 'function') {
+                return whenResolved(config.syncStrategy(local, entry.data, entry), data => {
+                    if (data) {
+                        deserialize(form, data, syncConfig)
+                        resetBaseline(entry.data)
+                    }
+                })
+            } else {
+                deserialize(form, entry.data, syncConfig)
+                resetBaseline()
+            }
+        })
+    }
+
+    /**
+     * Persists the forms marked with a `data-persist` attribute within the given root, including forms added to the
+     * page later, with options read from the forms' `data-persist-*` attributes. Forms removed from the page are saved
+     * if changed and stop persisting. Forms that cannot be persisted, like forms without an id or key, are skipped and
+     * reported via the `onError` option and a `formpersistence:error` event, as are failures to save removed forms.
+     * Requires `MutationObserver`.
+     * 
+     * @param {Node}   root    The element or document to watch for forms. Default `document`.
+     * @param {Object} options The options to persist each form with, overriding the form's data attributes as in
+     *                         `persist`. See `persist` for available options.
+     * 
+     * @return {Object} A handle containing the following functions:
+     *  * getController(form) - Returns the controller of the given persisted form, or `undefined`.
+     *  * disconnect() - Stops watching for forms and destroys the controllers of all persisted forms.
+     */
+    function autoPersist(root, options) {
+        root = root || document
+        let onError = options && options.onError ? options.onError : null
+        let controllers = new Map()
+        let persistForms = node => {
+            if (typeof node.querySelectorAll !== 'function') {
+                return
+            }
+            let forms = [...node.querySelectorAll('form[data-persist]')]
+            if (node.nodeType === Node.ELEMENT_NODE && node.matches('form[data-persist]')) {
+                forms.unshift(node)
+            }
+            for (let form of forms) {
+                if (!controllers.has(form)) {
+                    // keep persisting the other forms if this form cannot be persisted
+                    reportErrors(form, onError, () => {
+                        controllers.set(form, persist(form, options))
+                    })
+                }
+            }
+        }
+        let destroyRemovedForms = () => {
+            for (let [form, controller] of controllers) {
+                if (!root.contains(form)) {
+                    // save changes made since the last save, such as when a router removes the form
+                    if (controller.isDirty()) {
+                        reportErrors(form, onError, controller.save)
+                    }
+                    controller.destroy()
+                    controllers.delete(form)
+                }
+            }
+        }
+        persistForms(root)
+        let observer = new MutationObserver(records => {
+            for (let record of records) {
+                record.addedNodes.forEach(persistForms)
+            }
+            if (records.some(record => record.removedNodes.length > 0)) {
+                destroyRemovedForms()
+            }
+        })
+        observer.observe(root, { childList: true, subtree: true })
+        return {
+            getController: form => controllers.get(form),
+            disconnect: () => {
+                observer.disconnect()
+                for (let controller of controllers.values()) {
+                    controller.destroy()
+                }
+                controllers.clear()
+            }
+        }
+    }
+
+    /**
+     * Option names read from data attributes under a different name, like `data-persist-key` for `uuid`.
+     */
+    const dataOptionAliases = { key: 'uuid' }
+
+    /**
+     * Options read from data attributes as strings, without converting them to booleans or numbers.
+     */
+    const stringDataOptions = ['uuid']
+
+    /**
+     * Options read from data attributes as arrays of comma separated values.
+     */
+    const listDataOptions = ['include', 'exclude']
+
+    /**
+     * Reads options from the given element's `data-persist-*` attributes, converting attribute names to option names
+     * like `data-persist-autosave-delay` to `autosaveDelay`, values like `'true'`, `'false'`, and `'500'` to
+     * booleans and numbers, and comma separated values like `'a, b'` to arrays for `include` and `exclude`.
+     * 
+     * @param {HTMLElement} element The element to read options from.
+     * 
+     * @return {Object} The options.
+     */
+    function readDataOptions(element) {
+        let options = {}
+        for (let attribute of element.attributes) {
+            let match = /^data-persist-(.+)$/.exec(attribute.name)
+            if (match) {
+                let name = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())
+                name = dataOptionAliases[name] || name
+                options[name] = parseDataValue(name, attribute.value)
+            }
+        }
+        return options
+    }
+
+    /**
+     * Parses the given data attribute value of the given option into a boolean, number, or array if applicable.
+     */
+    function parseDataValue(name, value) {
+        if (stringDataOptions.includes(name)) {
+            return value
+        }
+        if (listDataOptions.includes(name)) {
+            return value.split(',').map(item => item.trim()).filter(item => item !== '')
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true'
+        }
+        if (value.trim() !== '' && !isNaN(value)) {
+            return Number(value)
+        }
+        return value
+    }
+
+    /**
+     * Records an undo and redo history of snapshots of the given form's data, taking a snapshot once input pauses
+     * after each change.
+     * 
+     * @param {HTMLFormElement} form    The form to record history for.
+     * @param {Object}          options Options object containing any of the following:
+     *  * maxDepth - The maximum number of snapshots to keep, discarding the oldest snapshots. Default `50`.
+     *  * delay - The debounce interval in milliseconds between input and taking a snapshot. Default `500`.
+     *  * persistent - Save the history to storage and restore it upon calling this function if `true`.
+     *                 Default `false`.
+     *  * uuid - A unique identifier for this form's storage key.
+     *           Required if using a form without an id. If unspecified, form id will be used.
+     *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * encryption - Encrypt the saved history with AES-GCM via an object containing either a `key` CryptoKey or a
+     *                 `password` from which to derive a key with PBKDF2, optionally with `iterations`.
+     *  * onError - A function like `fn(error)` called if saving or restoring the history fails.
+     *  * Any options of `serialize` and `deserialize`, like `include` and `exclude`.
+     * 
+     * @return {Object} A history controller containing the following functions:
+     *  * undo() - Applies the previous snapshot to the form, returning `true` if there was one.
+     *  * redo() - Applies the next snapshot to the form, returning `true` if there was one.
+     *  * canUndo() - Returns `true` if there is a previous snapshot.
+     *  * canRedo() - Returns `true` if there is a next snapshot.
+     *  * getHistory() - Returns an object containing the `snapshots`, each containing the snapshot's `data` and the
+     *                   `time` it was taken, and the `index` of the current snapshot.
+     *  * record() - Takes a snapshot immediately if the form has changed, returning `true` if taken.
+     *  * clear() - Discards all snapshots except a snapshot of the current form data, and removes the saved history
+     *              from storage until the form changes again.
+     *  * destroy([clear]) - Stops recording history, and removes the saved history from storage if `clear` is `true`.
+     * 
+     * Persistent history is saved under the form's storage key followed by `#history`, and is also removed by
+     * `clearStorage`, including when `persist` clears the form's storage upon submitting, if saved to the same storage.
+     */
+    function createHistory(form, options) {
+        let defaults = {
+            maxDepth: 50,
+            delay: 500,
+            persistent: false,
+            uuid: null,
+            useSessionStorage: false,
+            storage: null,
+            encryption: null,
+            onError: null
+        }
+        let config = Object.assign({}, defaults, options, { onSkip: null, loadStrategy: 'overwrite' })
+        let storageKey = getHistoryStorageKey(form, config.uuid)
+        let storage = config.persistent ? getStorage(config) : null
+        // save the history in the same entry format as form data, encrypting it like form data if configured
+        let entryConfig = {
+            encryption: config.encryption,
+            version: 0,
+            migrations: {},
+            maxAge: null,
+            expiresAt: null,
+            base: null
+        }
+        let snapshots = []
+        let index = -1
+        let saveHistory = () => {
+            if (storage !== null) {
+                let history = { snapshots: snapshots, index: index }
+                reportErrors(form, config.onError, () => {
+                    return whenResolved(packEntry(history, entryConfig), value => storage.setItem(storageKey, value))
+                })
+            }
+        }
+        let removeHistory = () => storage !== null ? storage.removeItem(storageKey) : undefined
+        let record = () => {
+            recordLater.cancel()
+            let data = serialize(form, config)
+            if (index >= 0 && JSON.stringify(data) === JSON.stringify(snapshots[index].data)) {
+                return false
+            }
+            // discard the redo snapshots and the oldest snapshots beyond the maximum depth
+            snapshots = snapshots.slice(0, index + 1)
+            snapshots.push({ data: data, time: Date.now() })
+            snapshots = snapshots.slice(-config.maxDepth)
+            index = snapshots.length - 1
+            saveHistory()
+            return true
+        }
+        let recordLater = debounce(record, config.delay)
+        // check for changes not yet recorded, which are recorded before undoing or redoing
+        let isChanged = () => {
+            return index >= 0 && JSON.stringify(serialize(form, config)) !== JSON.stringify(snapshots[index].data)
+        }
+        let step = offset => {
+            // keep any changes made since the last snapshot to be able to redo them
+            record()
+            if (index + offset < 0 || index + offset >= snapshots.length) {
+                return false
+            }
+            index += offset
+            deserialize(form, snapshots[index].data, config)
+            saveHistory()
+            return true
+        }
+        let recordOnInput = event => {
+            if (isFormElement(form, event.target)) {
+                recordLater()
+            }
+        }
+        let saved = storage === null ? null : whenResolved(storage.getItem(storageKey), value => {
+            return value ? unpackEntry(value, entryConfig) : null
+        })
+        if (isPromise(saved)) {
+            // start recording without the saved history if it cannot be read
+            saved = saved.catch(error => {
+                runAfterHook(form, config.onError, 'error', { error: error })
+                return null
             })
         }
+        whenResolved(saved, entry => {
+            if (entry !== null) {
+                snapshots = entry.data.snapshots
+                index = entry.data.index
+            }
+            record()
+        })
+        document.addEventListener('input', recordOnInput)
+        document.addEventListener('change', recordOnInput)
+        return {
+            undo: () => step(-1),
+            redo: () => step(1),
+            canUndo: () => index > 0 || isChanged(),
+            canRedo: () => index < snapshots.length - 1 && !isChanged(),
+            getHistory: () => ({ snapshots: snapshots.slice(), index: index }),
+            record: record,
+            clear: () => {
+                recordLater.cancel()
+                snapshots = [{ data: serialize(form, config), time: Date.now() }]
+                index = 0
+                // remove the saved history until the form changes again
+                return removeHistory()
+            },
+            destroy: clear => {
+                recordLater.cancel()
+                document.removeEventListener('input', recordOnInput)
+                document.removeEventListener('change', recordOnInput)
+                if (clear) {
+                    return removeHistory()
+                }
+            }
+        }
+    }
+
+    /**
+     * Checks if the given element belongs to the given form, including external elements attached via `form=`.
+     */
+    function isFormElement(form, element) {
+        return element.form === form || form.contains(element)
+    }
+
+    /**
+     * Creates a function that delays calls to the given function until `delay` milliseconds have passed since the
+     * last call. The returned function has a `cancel` function to discard any pending call.
+     */
+    function debounce(fn, delay) {
+        let timer = null
+        let debounced = () => {
+            clearTimeout(timer)
+            timer = setTimeout(fn, delay)
+        }
+        debounced.cancel = () => clearTimeout(timer)
+        return debounced
+    }
+
+    /**
+     * Creates a function that calls the given function at most once per `delay` milliseconds, deferring any calls
+     * made in between to the end of the interval. The returned function has a `cancel` function to discard any
+     * pending call.
+     */
+    function throttle(fn, delay) {
+        let timer = null
+        let last = 0
+        let run = () => {
+            timer = null
+            last = Date.now()
+            fn()
+        }
+        let throttled = () => {
+            let remaining = last + delay - Date.now()
+            if (remaining <= 0) {
+                clearTimeout(timer)
+                run()
+            } else if (timer === null) {
+                timer = setTimeout(run, remaining)
+            }
+        }
+        throttled.cancel = () => {
+            clearTimeout(timer)
+            timer = null
+        }
+        return throttled
     }
 
     /**
-     * Serializes the given form into an object, excluding password and file inputs.
+     * Serializes the given form into an object, excluding password and file inputs and sensitive elements.
+     * Elements with `data-persist='false'` or `data-persist-sensitive` attributes are excluded, and elements with
+     * `data-persist='true'` are included regardless of the include and exclude options and sensitivity.
      * 
      * @param {HTMLFormElement} form    The form to serialize.
      * @param {Object}          options Options object containing any of the following:
@@ -68,6 +723,16 @@ const FormPersistence = (function () {
      *                    is included if the function returns true.
      *  * excludeFilter - Define a blacklist filter function that inputs an element and outputs a boolean. The element
      *                    is excluded if the function returns true.
+     *  * format - Use `'nested'` to build nested objects and arrays from bracket and dot notation in names, like
+     *             `address[city]` or `items[0][qty]`, unwrapping single values. Default `'flat'`.
+     *  * typed - Serialize number and range inputs as numbers, date, month, and datetime-local inputs as ISO date
+     *            strings, and empty inputs of these types and time and week inputs as `null` if `true`.
+     *            Default `false`.
+     *  * excludeSensitive - Exclude elements detected as sensitive by their `autocomplete` tokens, like `cc-number`
+     *                       or `one-time-code`, or by `sensitivePatterns` if `true`. Default `true`.
+     *  * sensitivePatterns - Regular expressions matching the names of sensitive elements.
+     *                        Default `FormPersistence.sensitivePatterns`.
+     *  * onSkip - A function like `fn(names, reason)` called with the names of elements skipped as `'sensitive'`.
      * 
      * @return {Object} The serialized data object.
      */
@@ -76,21 +741,36 @@ const FormPersistence = (function () {
             include: [],
             exclude: [],
             includeFilter: null,
-            excludeFilter: null
+            excludeFilter: null,
+            format: 'flat',
+            typed: false,
+            excludeSensitive: true,
+            sensitivePatterns: sensitivePatterns,
+            onSkip: null
         }
         let config = Object.assign({}, defaults, options)
         let data = {}
-        for (let element of form.elements) {
+        let skipped = []
+        for (let element of getFormElements(form)) {
             let tag = element.tagName
             let type = element.type
-            if (tag === 'INPUT' && (type === 'password' || type === 'file')) {
+            let handler = getElementHandler(element)
+            if (!handler && tag === 'INPUT' && (type === 'password' || type === 'file')) {
                 continue // do not serialize passwords or files
             }
-            if (isNameFiltered(element.name, config.include, config.exclude)
-                    || isElementFiltered(element, config.includeFilter, config.excludeFilter)) {
+            let name = getElementName(element)
+            if (isSkipped(element, name, config)) {
+                continue
+            }
+            if (config.excludeSensitive && isSensitive(element, name, config.sensitivePatterns)) {
+                if (!skipped.includes(name)) {
+                    skipped.push(name)
+                }
                 continue
             }
-            if (tag === 'INPUT') {
+            if (handler) {
+                pushToArray(data, name, handler.read(element))
+            } else if (tag === 'INPUT') {
                 let type = element.type
                 if (type === 'radio') {
                     if (element.checked) {
@@ -98,6 +778,8 @@ const FormPersistence = (function () {
                     }
                 } else if (type === 'checkbox') {
                     pushToArray(data, element.name, element.checked)
+                } else if (config.typed && typedInputTypes.includes(type)) {
+                    pushToArray(data, element.name, readTypedValue(element))
                 } else {
                     pushToArray(data, element.name, element.value)
                 }
@@ -115,7 +797,197 @@ const FormPersistence = (function () {
                 }
             }
         }
-        return data
+        if (skipped.length > 0 && config.onSkip) {
+            config.onSkip(skipped, 'sensitive')
+        }
+        return config.format === 'nested' ? nest(data) : data
+    }
+
+    /**
+     * Registered element handlers, consulted in order before built-in input, textarea, and select handling.
+     * Includes built-in handlers for contenteditable elements and form-associated custom elements.
+     * Contenteditable elements persist their text, as restoring HTML from storage that other tabs or a server can
+     * write would allow injecting scripts, unless they opt in to persisting HTML via `data-persist-html`.
+     */
+    const elementHandlers = [
+        {
+            matches: element => element.hasAttribute('contenteditable')
+                && element.getAttribute('contenteditable') !== 'false',
+            read: element => element.hasAttribute('data-persist-html') ? element.innerHTML : element.textContent,
+            write: (element, value) => {
+                if (element.hasAttribute('data-persist-html')) {
+                    element.innerHTML = value
+                } else {
+                    element.textContent = value
+                }
+            }
+        },
+        {
+            matches: element => Boolean(element.constructor && element.constructor.formAssociated),
+            read: element => element.value,
+            write: (element, value) => {
+                element.value = value
+            }
+        }
+    ]
+
+    /**
+     * Registers a handler for reading and writing the values of matching elements during serialization and
+     * deserialization. Handlers registered later take precedence over those registered earlier, and all registered
+     * handlers take precedence over built-in handling.
+     * 
+     * Matching elements outside of `form.elements`, like contenteditable elements, must have a `name` attribute.
+     * 
+     * @param {String|Function} matcher A CSS selector or a function that inputs an element and outputs a boolean.
+     * @param {Object}          handler An object containing the following functions:
+     *  * read - A function like `fn(element)` returning the element's value.
+     *  * write - A function like `fn(element, value)` applying the value to the element.
+     */
+    function registerElementHandler(matcher, handler) {
+        let matches = typeof matcher === 'string' ? element => element.matches(matcher) : matcher
+        elementHandlers.unshift({ matches: matches, read: handler.read, write: handler.write })
+    }
+
+    /**
+     * Gets the first element handler matching the given element.
+     * 
+     * @return {Object} The element handler, or `undefined` if none match.
+     */
+    function getElementHandler(element) {
+        return elementHandlers.find(handler => handler.matches(element))
+    }
+
+    /**
+     * Gets the given form's elements, including named descendants handled by element handlers, in document order.
+     */
+    function getFormElements(form) {
+        let elements = [...form.elements]
+        let handled = [...form.querySelectorAll('[name]')]
+            .filter(element => !elements.includes(element) && getElementHandler(element))
+        if (handled.length > 0) {
+            elements = elements.concat(handled).sort((a, b) => {
+                return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+            })
+        }
+        return elements
+    }
+
+    /**
+     * Clones the templates of the given form's repeaters, containers like `<div data-fp-repeat='name'>` containing a
+     * `<template>`, until each repeater has as many elements with its name as there are values saved under that name.
+     * Dispatches a `formpersistence:repeat` event with the added rows for each expanded repeater.
+     * 
+     * @param {HTMLFormElement} form              The form to expand repeaters in.
+     * @param {Object}          data              The flat serialized data to be applied.
+     * @param {Array}           speciallyHandled  The names handled by value functions, which are not expanded.
+     * @param {Object}          config            The deserialize config.
+     */
+    function expandRepeaters(form, data, speciallyHandled, config) {
+        form.querySelectorAll('[data-fp-repeat]').forEach(container => {
+            let name = container.getAttribute('data-fp-repeat')
+            let template = container.querySelector('template')
+            if (!Array.isArray(data[name]) || speciallyHandled.includes(name) || template === null
+                    || isNameFiltered(name, config.include, config.exclude)) {
+                return
+            }
+            let existing = [...container.querySelectorAll('[name]')]
+                .filter(element => getElementName(element) === name).length
+            let rows = []
+            for (let i = existing; i < data[name].length; i++) {
+                let row = template.content.cloneNode(true)
+                rows.push(...row.children)
+                container.appendChild(row)
+            }
+            if (rows.length > 0) {
+                dispatchFormEvent(form, 'repeat', { name: name, rows: rows }, false)
+            }
+        })
+    }
+
+    /**
+     * Gets the given element's name, falling back to its `name` attribute for elements without a name property.
+     */
+    function getElementName(element) {
+        return element.name || element.getAttribute('name')
+    }
+
+    /**
+     * Converts flat serialized data into nested objects and arrays according to the bracket and dot notation in its
+     * names, like `address[city]`, `items[0][qty]`, or `address.city`. Single values are unwrapped from their arrays
+     * unless their names end with `[]`, like `tags[]`.
+     * 
+     * @param {Object} data The flat serialized data, like `{ name: [values] }`.
+     * 
+     * @return {Object} The nested data.
+     */
+    function nest(data) {
+        let nested = {}
+        for (let name in data) {
+            let { path, isArray } = parseName(name)
+            let values = data[name]
+            let value = isArray || values.length !== 1 ? values : values[0]
+            let parent = nested
+            path.forEach((segment, i) => {
+                if (i === path.length - 1) {
+                    parent[segment] = value
+                } else {
+                    if (typeof parent[segment] !== 'object' || parent[segment] === null) {
+                        parent[segment] = typeof path[i + 1] === 'number' ? [] : {}
+                    }
+                    parent = parent[segment]
+                }
+            })
+        }
+        return nested
+    }
+
+    /**
+     * Converts nested data created by `nest` back into flat data for the given form, by looking up the path of each
+     * of the form's element names and value function names.
+     * 
+     * @param {HTMLFormElement} form   The form to flatten data for.
+     * @param {Object}          data   The nested data.
+     * @param {Object}          config The deserialize config containing `valueFunctions`.
+     * 
+     * @return {Object} The flat data, like `{ name: [values] }`.
+     */
+    function flatten(form, data, config) {
+        let names = getFormElements(form).map(getElementName).concat(Object.keys(config.valueFunctions || {}))
+        let flat = {}
+        for (let name of names) {
+            if (!name || name in flat) {
+                continue
+            }
+            let value = parseName(name).path.reduce((parent, segment) => {
+                return typeof parent === 'object' && parent !== null ? parent[segment] : undefined
+            }, data)
+            if (Array.isArray(value)) {
+                flat[name] = value
+            } else if (value !== undefined && (typeof value !== 'object' || value === null)) {
+                flat[name] = [value]
+            }
+        }
+        return flat
+    }
+
+    /**
+     * Parses the given data name's bracket and dot notation into a path of object keys and array indexes.
+     * 
+     * @return {Object} An object containing the `path` array and `isArray`, which is `true` if the name ends in `[]`.
+     */
+    function parseName(name) {
+        let path = []
+        let pattern = /\[([^\]]*)\]|([^.[\]]+)/g
+        let match
+        while ((match = pattern.exec(name)) !== null) {
+            let segment = match[1] !== undefined ? match[1] : match[2]
+            path.push(/^\d+$/.test(segment) ? Number(segment) : segment)
+        }
+        let isArray = name.endsWith('[]')
+        if (isArray) {
+            path.pop()
+        }
+        return { path: path, isArray: isArray }
     }
 
     /**
@@ -144,6 +1016,55 @@ const FormPersistence = (function () {
         return false
     }
 
+    /**
+     * Checks if the given element should be skipped, either by its `data-persist` attributes or by the include and
+     * exclude options. Elements with `data-persist='true'` are never skipped, while elements with
+     * `data-persist='false'` or `data-persist-sensitive` are always skipped.
+     */
+    function isSkipped(element, name, config) {
+        let persist = element.getAttribute('data-persist')
+        if (persist === 'true') {
+            return !name
+        }
+        if (persist === 'false' || element.hasAttribute('data-persist-sensitive')) {
+            return true
+        }
+        return isNameFiltered(name, config.include, config.exclude)
+            || isElementFiltered(element, config.includeFilter, config.excludeFilter)
+    }
+
+    /**
+     * Autocomplete tokens of elements holding payment details, one-time codes, and passwords.
+     */
+    const sensitiveAutocompleteTokens = [
+        'cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'one-time-code', 'new-password',
+        'current-password'
+    ]
+
+    /**
+     * Default patterns matching the names of elements holding card numbers, card security codes, social security
+     * numbers, and one-time codes.
+     */
+    const sensitivePatterns = [
+        /credit.?card|card.?(number|num|no)([^a-z]|$)|(^|[^a-z])cc.?(number|num)([^a-z]|$)/i,
+        /cvv|cvc|(^|[^a-z])csc([^a-z]|$)|security.?code/i,
+        /(^|[^a-z])ssn([^a-z]|$)|social.?security/i,
+        /one.?time.?(code|password)|(^|[^a-z])otp([^a-z]|$)/i
+    ]
+
+    /**
+     * Checks if the given element is sensitive according to its `autocomplete` tokens or the given name patterns,
+     * unless it opts in to persistence via `data-persist='true'`.
+     */
+    function isSensitive(element, name, patterns) {
+        if (element.getAttribute('data-persist') === 'true') {
+            return false
+        }
+        let tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/)
+        return tokens.some(token => sensitiveAutocompleteTokens.includes(token))
+            || patterns.some(pattern => pattern.test(name))
+    }
+
     /**
      * Checks if the given element should be filtered out, either by name or by predicate.
      */
@@ -165,26 +1086,80 @@ const FormPersistence = (function () {
      *  * uuid - A unique identifier for this form's storage key.
      *           Required if using a form without an id. If unspecified, form id will be used.
      *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * maxAge - Saved data expires this many milliseconds after saving.
+     *  * expiresAt - A date after which saved data expires, overriding `maxAge`.
+     *  * version - The version number of the form's data layout, saved with the data. Default `0`.
+     *  * encryption - Encrypt saved data and files with AES-GCM via an object containing either a `key` CryptoKey
+     *                 or a `password` from which to derive a key with PBKDF2, optionally with `iterations`.
+     *  * persistFiles - Persist files selected in file inputs to `fileStorage` if `true`. Default `false`.
+     *  * fileStorage - The storage adapter for files, which must support storing non-string values.
+     *                  Default `'indexedDB'`.
+     *  * maxFileSize - The maximum total size in bytes of the files to persist per file input. Larger selections are
+     *                  not persisted. Default 10MB.
+     *  * maxFileSizes - An object mapping file input names to sizes that override `maxFileSize`.
      *  * include - Define a whitelist array of data names to include.
      *  * exclude - Define a blacklist array of data names to exclude.
      *  * includeFilter - Define a whitelist filter function that inputs an element and outputs a boolean. The element
      *                    is included if the function returns true.
      *  * excludeFilter - Define a blacklist filter function that inputs an element and outputs a boolean. The element
      *                    is excluded if the function returns true.
+     *  * format - Use `'nested'` to build nested objects and arrays from bracket and dot notation in names, like
+     *             `address[city]` or `items[0][qty]`, unwrapping single values. Default `'flat'`.
+     *  * typed - Serialize number and range inputs as numbers, date, month, and datetime-local inputs as ISO date
+     *            strings, and empty inputs of these types and time and week inputs as `null` if `true`.
+     *            Default `false`.
+     *  * excludeSensitive - Exclude elements detected as sensitive by their `autocomplete` tokens, like `cc-number`
+     *                       or `one-time-code`, or by `sensitivePatterns` if `true`. Default `true`.
+     *  * sensitivePatterns - Regular expressions matching the names of sensitive elements.
+     *                        Default `FormPersistence.sensitivePatterns`.
+     *  * onSkip - A function like `fn(names, reason)` called with the names of elements skipped as `'sensitive'`.
+     *  * beforeSave - A function like `fn(data)` returning the data to save, or `false` to cancel saving.
+     *  * afterSave - A function like `fn(data)` called after saving.
+     *  * base - The data the form had before it was changed, saved with the data as the base for loading with the
+     *           `mergeStrategy` option.
+     * 
+     * @return {Promise|Boolean|undefined} A promise resolving once saved if the storage adapter is asynchronous, or
+     *                                   `false` if saving is canceled by `beforeSave` or a `beforesave` listener.
      */
     function save(form, options) {
         let defaults = {
             uuid: null,
-            useSessionStorage: false
+            useSessionStorage: false,
+            storage: null,
+            encryption: null,
+            maxAge: null,
+            expiresAt: null,
+            version: 0,
+            migrations: {},
+            persistFiles: false,
+            fileStorage: 'indexedDB',
+            maxFileSize: 10 * 1024 * 1024,
+            maxFileSizes: {},
+            beforeSave: null,
+            afterSave: null,
+            base: null
         }
         let config = Object.assign({}, defaults, options)
-        let data = serialize(form, config)
-        let storage = config.useSessionStorage ? sessionStorage : localStorage
-        storage.setItem(getStorageKey(form, config.uuid), JSON.stringify(data))
+        let data = runBeforeHook(form, config.beforeSave, 'beforesave', serialize(form, config))
+        if (data === null) {
+            return false
+        }
+        let storage = getStorage(config)
+        let key = getStorageKey(form, config.uuid)
+        let saved = whenResolved(packEntry(data, config), value => storage.setItem(key, value))
+        if (config.persistFiles) {
+            saved = Promise.all([saved, saveFiles(form, config)])
+        }
+        return whenResolved(saved, () => {
+            runAfterHook(form, config.afterSave, 'save', { data: data })
+        })
     }
 
     /**
      * Loads a given form by deserializing given data, optionally with given special value handling functions.
+     * Elements are included and excluded by their `data-persist` attributes in the same way as in `serialize`.
      * 
      * @param {HTMLFormElement} form    The form to deserialize data into.
      * @param {Object}          data    The data object to deserialize into the form.
@@ -196,6 +1171,23 @@ const FormPersistence = (function () {
      *                    is included if the function returns true.
      *  * excludeFilter - Define a blacklist filter function that inputs an element and outputs a boolean. The element
      *                    is excluded if the function returns true.
+     *  * format - Use `'nested'` to accept data in the nested format created by serializing with the `'nested'`
+     *             format. Default `'flat'`.
+     *  * typed - Accept numbers, dates, ISO date strings, and `null` values for typed inputs as serialized with
+     *            the `typed` option if `true`. Default `false`.
+     *  * loadStrategy - Which fields to apply data to: `'overwrite'` for all fields, `'onlyEmpty'` for fields that
+     *                   are empty or unchecked, `'onlyDefault'` for fields still at their default values, or a
+     *                   function like `fn(name, values, elements)` returning `true` to apply data to the field.
+     *                   Default `'overwrite'`.
+     *  * onSkip - A function like `fn(names, reason)` called with the names of fields skipped by the `loadStrategy`
+     *             option as `'loadStrategy'`.
+     *  * dispatchEvents - Dispatch `input` and `change` events on each element after applying data to the form, and
+     *                     set values through the elements' native setters, to notify listeners and framework
+     *                     bindings like React's controlled inputs if `true`. Checkboxes and radio buttons whose
+     *                     checked state changed are clicked, dispatching `click` events as well. Default `false`.
+     * 
+     * @return {Array} The names of the data entries that were applied to the form.
+     * @throws {Error} If given an unknown load strategy.
      */
     function deserialize(form, data, options) {
         let defaults = {
@@ -203,38 +1195,209 @@ const FormPersistence = (function () {
             include: [],
             exclude: [],
             includeFilter: null,
-            excludeFilter: null
+            excludeFilter: null,
+            format: 'flat',
+            typed: false,
+            loadStrategy: 'overwrite',
+            onSkip: null,
+            dispatchEvents: false
         }
         let config = Object.assign({}, defaults, options)
+        if (typeof config.loadStrategy !== 'function' && !(config.loadStrategy in loadStrategies)) {
+            throw Error('unknown form persistence load strategy: ' + config.loadStrategy)
+        }
+        if (config.format === 'nested') {
+            data = flatten(form, data, config)
+        }
         // apply given value functions first
         let speciallyHandled = []
         if (config.valueFunctions !== null) {
             speciallyHandled = applySpecialHandlers(data, form, config)
         }
+        // create any missing repeated rows before filling values
+        expandRepeaters(form, data, speciallyHandled, config)
         // fill remaining values normally
+        let restored = [...speciallyHandled]
+        let skipped = []
+        let applied = []
+        let wasChecked = new Map()
         for (let name in data) {
-            if (isNameFiltered(name, config.include, config.exclude)) {
-                continue
-            }
             if (!speciallyHandled.includes(name)) {
-                let inputs = [...form.elements].filter(element => element.name === name
-                        && !isElementFiltered(element, config.includeFilter, config.excludeFilter))
+                let inputs = getFormElements(form).filter(element => getElementName(element) === name
+                        && !isSkipped(element, name, config))
+                if (inputs.length === 0) {
+                    continue
+                }
+                let resolve = typeof config.loadStrategy === 'function'
+                    ? config.loadStrategy
+                    : loadStrategies[config.loadStrategy]
+                if (!resolve(name, data[name], inputs)) {
+                    skipped.push(name)
+                    continue
+                }
                 inputs.forEach((input, i) => {
-                    applyValues(input, data[name], i)
+                    wasChecked.set(input, input.checked)
+                    applyValues(input, data[name], i, config)
                 })
+                applied.push(...inputs)
+                restored.push(name)
             }
         }
+        if (config.dispatchEvents) {
+            // dispatch events once all values are applied so that listeners see the complete form data
+            applied.forEach(element => dispatchValueEvents(element, wasChecked.get(element)))
+        }
+        if (skipped.length > 0 && config.onSkip) {
+            config.onSkip(skipped, 'loadStrategy')
+        }
+        return restored
     }
 
     /**
-     * Loads a given form from local or session storage, optionally with given special value handling functions.
-     * Does nothing if no saved values are found.
-     * 
+     * Built-in load strategies that can be specified by name in the `loadStrategy` option, each deciding whether to
+     * apply data to a field given its name, values, and elements. Fields are checked as a whole so that radio groups
+     * and checkbox lists are applied entirely or not at all.
+     */
+    const loadStrategies = {
+        overwrite: () => true,
+        onlyEmpty: (name, values, elements) => elements.every(isEmptyElement),
+        onlyDefault: (name, values, elements) => elements.every(isDefaultElement)
+    }
+
+    /**
+     * Checks if the given element is empty or unchecked.
+     */
+    function isEmptyElement(element) {
+        let handler = getElementHandler(element)
+        if (handler) {
+            let value = handler.read(element)
+            return value === '' || value === null || value === undefined
+        } else if (element.type === 'radio' || element.type === 'checkbox') {
+            return !element.checked
+        } else if (element.tagName === 'SELECT') {
+            return [...element.options].every(option => !option.selected || option.value === '')
+        }
+        return element.value === ''
+    }
+
+    /**
+     * Checks if the given element still has its default value, as rendered in its HTML. Elements handled by a
+     * registered element handler have no default value and are checked for being empty instead.
+     */
+    function isDefaultElement(element) {
+        if (getElementHandler(element)) {
+            return isEmptyElement(element)
+        } else if (element.type === 'radio' || element.type === 'checkbox') {
+            return element.checked === element.defaultChecked
+        } else if (element.tagName === 'SELECT' && !element.multiple) {
+            // single selects select their first option by default if no option is marked as selected
+            let options = [...element.options]
+            let defaultOption = options.filter(option => option.defaultSelected).pop() || options[0]
+            return defaultOption === undefined || defaultOption.selected
+        } else if (element.tagName === 'SELECT') {
+            return [...element.options].every(option => option.selected === option.defaultSelected)
+        }
+        return element.value === element.defaultValue
+    }
+
+    /**
+     * Compares the given serialized data objects.
+     * 
+     * @param {Object} a The data to compare from, like `{ name: [values] }`.
+     * @param {Object} b The data to compare to, like `{ name: [values] }`.
+     * 
+     * @return {Object} An object containing `added`, `removed`, and `changed` objects, each mapping the names of the
+     *                  added, removed, or changed data entries to objects like `{ before, after }` containing their
+     *                  values in `a` and `b`, or `null` if absent.
+     */
+    function diff(a, b) {
+        let result = { added: {}, removed: {}, changed: {} }
+        for (let name in b) {
+            if (!(name in a)) {
+                result.added[name] = { before: null, after: b[name] }
+            } else if (!isEqualValue(a[name], b[name])) {
+                result.changed[name] = { before: a[name], after: b[name] }
+            }
+        }
+        for (let name in a) {
+            if (!(name in b)) {
+                result.removed[name] = { before: a[name], after: null }
+            }
+        }
+        return result
+    }
+
+    /**
+     * Merges two versions of serialized data that were both changed from the given common base data, keeping the
+     * entries changed in either version.
+     * 
+     * @param {Object}          base     The data both versions were changed from, or `null` to treat all differing
+     *                                   entries as conflicts.
+     * @param {Object}          local    The local version, like a saved draft.
+     * @param {Object}          remote   The remote version, like the values rendered by a server.
+     * @param {String|Function} strategy How to resolve entries changed differently in both versions: `'local'` to keep
+     *                                   the local values, `'remote'` to keep the remote values, or a function like
+     *                                   `fn(name, localValues, remoteValues, baseValues)` returning the values to
+     *                                   keep, or `undefined` to omit the entry. Default `'local'`.
+     * 
+     * @return {Object} The merged data.
+     * @throws {Error} If given an unknown strategy.
+     */
+    function merge(base, local, remote, strategy) {
+        strategy = strategy || 'local'
+        if (typeof strategy !== 'function' && strategy !== 'local' && strategy !== 'remote') {
+            throw Error('unknown form persistence merge strategy: ' + strategy)
+        }
+        base = base || {}
+        let merged = {}
+        let names = new Set(Object.keys(base).concat(Object.keys(local), Object.keys(remote)))
+        for (let name of names) {
+            let localChanged = !isEqualValue(local[name], base[name])
+            let remoteChanged = !isEqualValue(remote[name], base[name])
+            let values = localChanged ? local[name] : remote[name]
+            if (localChanged && remoteChanged && !isEqualValue(local[name], remote[name])) {
+                if (typeof strategy === 'function') {
+                    values = strategy(name, local[name], remote[name], base[name])
+                } else {
+                    values = strategy === 'local' ? local[name] : remote[name]
+                }
+            }
+            if (values !== undefined) {
+                merged[name] = values
+            }
+        }
+        return merged
+    }
+
+    /**
+     * Checks if the given data entry values are equal.
+     */
+    function isEqualValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b)
+    }
+
+    /**
+     * Loads a given form from local or session storage, optionally with given special value handling functions.
+     * Does nothing if no saved values are found.
+     * 
      * @param {HTMLFormElement} form    The form to load saved values into.
      * @param {Object}          options Options object containing any of the following:
      *  * uuid - A unique identifier for this form's storage key.
      *           Required if using a form without an id. If unspecified, form id will be used.
      *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * maxAge - Saved data older than this many milliseconds is discarded upon loading.
+     *  * expiresAt - A date after which saved data is discarded upon loading.
+     *  * version - The version number of the form's data layout. Older saved data is migrated upon loading.
+     *              Default `0`.
+     *  * migrations - Migration functions like `fromVersion: fn(data)` returning the data for the next version, or
+     *                 a falsy value to discard it. Saved data that cannot be migrated is discarded.
+     *  * encryption - Encrypt saved data and files with AES-GCM via an object containing either a `key` CryptoKey
+     *                 or a `password` from which to derive a key with PBKDF2, optionally with `iterations`.
+     *  * persistFiles - Persist files selected in file inputs to `fileStorage` if `true`. Default `false`.
+     *  * fileStorage - The storage adapter for files, which must support storing non-string values.
+     *                  Default `'indexedDB'`.
      *  * valueFunctions - Special value functions to apply, like `name: fn(form, value)`.
      *  * include - Define a whitelist array of data names to include.
      *  * exclude - Define a blacklist array of data names to exclude.
@@ -242,38 +1405,1277 @@ const FormPersistence = (function () {
      *                    is included if the function returns true.
      *  * excludeFilter - Define a blacklist filter function that inputs an element and outputs a boolean. The element
      *                    is excluded if the function returns true.
+     *  * format - Use `'nested'` to accept data in the nested format created by serializing with the `'nested'`
+     *             format. Default `'flat'`.
+     *  * typed - Accept numbers, dates, ISO date strings, and `null` values for typed inputs as serialized with
+     *            the `typed` option if `true`. Default `false`.
+     *  * loadStrategy - Which fields to load data into: `'overwrite'`, `'onlyEmpty'`, `'onlyDefault'`, or a function.
+     *                   See `deserialize`. Default `'overwrite'`.
+     *  * onSkip - A function like `fn(names, reason)` called with the names of fields skipped as `'loadStrategy'`.
+     *  * dispatchEvents - Dispatch `input` and `change` events on loaded elements if `true`. See `deserialize`.
+     *                     Default `false`.
+     *  * beforeLoad - A function like `fn(data)` returning the data to load, or `false` to cancel loading.
+     *  * afterLoad - A function like `fn(restoredNames)` called after loading, even if no data was saved.
+     *  * onRestore - A function like `fn(restoredNames)` called after loading if any saved data was restored.
+     *  * mergeStrategy - Merge saved data into the form's current data instead of overwriting it, using the base saved
+     *                    with the data, resolving fields changed on both sides with `'local'`, `'remote'`, or a
+     *                    function. See `merge`.
+     * 
+     * @return {Promise|undefined} A promise resolving once loaded if the storage adapter is asynchronous.
      */
     function load(form, options) {
         let defaults = {
-            uuid: null,
-            useSessionStorage: false
+            persistFiles: false,
+            fileStorage: 'indexedDB',
+            beforeLoad: null,
+            afterLoad: null,
+            onRestore: null,
+            mergeStrategy: null
         }
         let config = Object.assign({}, defaults, options)
-        let storage = config.useSessionStorage ? sessionStorage : localStorage
-        let json = storage.getItem(getStorageKey(form, config.uuid))
-        if (json) {
-            let data = JSON.parse(json)
-            deserialize(form, data, options)
+        let restored = []
+        let loaded = whenResolved(readEntry(form, config), entry => {
+            if (entry !== null) {
+                let data = runBeforeHook(form, config.beforeLoad, 'beforeload', entry.data)
+                if (data !== null && config.mergeStrategy) {
+                    data = mergeIntoForm(form, entry, data, config)
+                }
+                if (data !== null) {
+                    restored = deserialize(form, data, options)
+                    // only restore files saved with data that was loaded
+                    if (config.persistFiles) {
+                        return loadFiles(form, config)
+                    }
+                }
+            }
+        })
+        if (config.persistFiles) {
+            loaded = Promise.resolve(loaded)
+        }
+        return whenResolved(loaded, () => {
+            runAfterHook(form, config.afterLoad, 'load', { restored: restored })
+            if (restored.length > 0) {
+                runAfterHook(form, config.onRestore, 'restore', { restored: restored })
+            }
+        })
+    }
+
+    /**
+     * Merges the given saved data into the given form's current data, using the base saved with the entry as the common
+     * base, or the form's current data if the entry has no base.
+     * 
+     * @return {Object} The merged entries that differ from the form's current data.
+     */
+    function mergeIntoForm(form, entry, data, config) {
+        let current = serialize(form, Object.assign({}, config, { onSkip: null }))
+        let merged = merge(entry.base || current, data, current, config.mergeStrategy)
+        let changed = {}
+        for (let name in merged) {
+            if (!isEqualValue(merged[name], current[name])) {
+                changed[name] = merged[name]
+            }
         }
+        return changed
     }
 
     /**
-     * Clears a given form's data from local or session storage.
+     * Reads a given form's saved entry from storage, discarding it along with its saved files if it is expired or
+     * cannot be read.
+     * 
+     * @param {HTMLFormElement} form    The form to read the saved entry of.
+     * @param {Object}          options The options accepted by `FormPersistence#load`.
+     * 
+     * @return {Object|Promise} The entry containing `version`, `savedAt`, `expiresAt`, and `data`, or `null` if no
+     *                          usable data is saved, or a promise resolving to either if the storage adapter is
+     *                          asynchronous or the data is encrypted.
+     */
+    function readEntry(form, options) {
+        let defaults = {
+            uuid: null,
+            useSessionStorage: false,
+            storage: null,
+            encryption: null,
+            maxAge: null,
+            expiresAt: null,
+            version: 0,
+            migrations: {},
+            persistFiles: false,
+            fileStorage: 'indexedDB'
+        }
+        let config = Object.assign({}, defaults, options)
+        let storage = getStorage(config)
+        let key = getStorageKey(form, config.uuid)
+        return whenResolved(storage.getItem(key), value => {
+            if (!value) {
+                return null
+            }
+            return whenResolved(unpackEntry(value, config), entry => {
+                if (entry === null) {
+                    // discard expired data or data that cannot be decrypted or migrated
+                    let removed = storage.removeItem(key)
+                    if (config.persistFiles) {
+                        removed = Promise.all([removed, removeFiles(key, config)])
+                    }
+                    return whenResolved(removed, () => null)
+                }
+                return entry
+            })
+        })
+    }
+
+    /**
+     * Clears a given form's data from local or session storage, along with any history saved by `createHistory`.
      * 
      * @param {HTMLFormElement} form              The form to clear stored data for.
      * @param {Object}          options Options object containing any of the following:
      *  * uuid - A unique identifier for this form's storage key.
      *           Required if using a form without an id. If unspecified, form id will be used.
      *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * persistFiles - Persist files selected in file inputs to `fileStorage` if `true`. Default `false`.
+     *  * fileStorage - The storage adapter for files, which must support storing non-string values.
+     *                  Default `'indexedDB'`.
+     *  * onClear - A function called after clearing saved data.
+     * 
+     * @return {Promise|undefined} A promise resolving once cleared if the storage adapter is asynchronous.
      */
     function clearStorage(form, options) {
         let defaults = {
             uuid: null,
-            useSessionStorage: false
+            useSessionStorage: false,
+            storage: null,
+            persistFiles: false,
+            fileStorage: 'indexedDB',
+            onClear: null
+        }
+        let config = Object.assign({}, defaults, options)
+        let storage = getStorage(config)
+        let key = getStorageKey(form, config.uuid)
+        let cleared = [storage.removeItem(key), storage.removeItem(getHistoryStorageKey(form, config.uuid))]
+        cleared = cleared.some(isPromise) ? Promise.all(cleared) : undefined
+        if (config.persistFiles) {
+            cleared = Promise.all([cleared, removeFiles(key, config)])
+        }
+        return whenResolved(cleared, () => {
+            runAfterHook(form, config.onClear, 'clear', {})
+        })
+    }
+
+    /**
+     * Lists the given form's named drafts.
+     * 
+     * @param {HTMLFormElement} form    The form to list drafts of.
+     * @param {Object}          options Options object containing any of the following:
+     *  * uuid - A unique identifier for this form's storage key.
+     *           Required if using a form without an id. If unspecified, form id will be used.
+     *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `getItem`, `setItem`, and `removeItem`, optionally returning
+     *              promises, or the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     * 
+     * @return {Array|Promise} The drafts, each containing the draft's `name`, `label`, and `created` and `updated`
+     *                         times, or a promise resolving to them if the storage adapter is asynchronous.
+     */
+    function listDrafts(form, options) {
+        let defaults = {
+            uuid: null,
+            useSessionStorage: false,
+            storage: null
         }
         let config = Object.assign({}, defaults, options)
-        let storage = config.useSessionStorage ? sessionStorage : localStorage
-        storage.removeItem(getStorageKey(form, config.uuid))
+        let storage = getStorage(config)
+        return whenResolved(storage.getItem(getDraftsStorageKey(form, config.uuid)), value => {
+            let drafts = value ? JSON.parse(value) : []
+            // omit drafts removed from storage by other means, such as by purging expired data
+            let exists = drafts.map(draft => {
+                return storage.getItem(getStorageKey(form, getDraftOptions(form, draft.name, config).uuid))
+            })
+            let listExisting = values => drafts.filter((draft, i) => values[i] !== null && values[i] !== undefined)
+            return exists.some(isPromise) ? Promise.all(exists).then(listExisting) : listExisting(exists)
+        })
+    }
+
+    /**
+     * Saves the given form as a named draft, in addition to any data saved by `persist` or `save`.
+     * 
+     * @param {HTMLFormElement} form    The form to save a draft of.
+     * @param {String}          name    The draft name. Saving a draft with an existing name replaces that draft.
+     * @param {Object}          options The options accepted by `save`, and the following:
+     *  * label - A label to describe the draft, like the subject of a message.
+     * 
+     * @return {Promise|undefined} A promise resolving once saved if the storage adapter is asynchronous.
+     */
+    function saveDraft(form, name, options) {
+        let defaults = {
+            uuid: null,
+            useSessionStorage: false,
+            storage: null,
+            label: null,
+            afterSave: null
+        }
+        let config = Object.assign({}, defaults, options)
+        // only list the draft if saving it was not canceled by a hook or event
+        let saved = false
+        let afterSave = data => {
+            saved = true
+            if (config.afterSave) {
+                config.afterSave(data)
+            }
+        }
+        let draftOptions = Object.assign(getDraftOptions(form, name, config), { afterSave: afterSave })
+        return whenResolved(save(form, draftOptions), () => {
+            if (!saved) {
+                return
+            }
+            return updateDrafts(form, config, drafts => {
+                let now = Date.now()
+                let draft = drafts.find(draft => draft.name === name)
+                if (!draft) {
+                    draft = { name: name, label: null, created: now }
+                    drafts.push(draft)
+                }
+                draft.updated = now
+                if (config.label !== null) {
+                    draft.label = config.label
+                }
+                return drafts
+            })
+        })
+    }
+
+    /**
+     * Loads the given named draft into the given form.
+     * 
+     * @param {HTMLFormElement} form    The form to load the draft into.
+     * @param {String}          name    The draft name.
+     * @param {Object}          options The options accepted by `load`.
+     * 
+     * @return {Promise|undefined} A promise resolving once loaded if the storage adapter is asynchronous.
+     */
+    function loadDraft(form, name, options) {
+        return load(form, getDraftOptions(form, name, options || {}))
+    }
+
+    /**
+     * Deletes the given form's named draft.
+     * 
+     * @param {HTMLFormElement} form    The form to delete the draft of.
+     * @param {String}          name    The draft name.
+     * @param {Object}          options The options accepted by `clearStorage`.
+     * 
+     * @return {Promise|undefined} A promise resolving once deleted if the storage adapter is asynchronous.
+     */
+    function deleteDraft(form, name, options) {
+        let defaults = {
+            uuid: null,
+            useSessionStorage: false,
+            storage: null
+        }
+        let config = Object.assign({}, defaults, options)
+        return whenResolved(clearStorage(form, getDraftOptions(form, name, config)), () => {
+            return updateDrafts(form, config, drafts => drafts.filter(draft => draft.name !== name))
+        })
+    }
+
+    /**
+     * Creates options to save, load, or clear the given named draft, which is stored under the form's storage key
+     * with a `#draft#<name>` suffix.
+     * 
+     * @throws {Error} If given a form without an id or uuid, or an empty draft name.
+     */
+    function getDraftOptions(form, name, options) {
+        if (!name) {
+            throw Error('form persistence requires a draft name')
+        }
+        let uuid = getStorageKey(form, options.uuid).slice('form#'.length) + '#draft#' + name
+        return Object.assign({}, options, { uuid: uuid })
+    }
+
+    /**
+     * Updates the stored list of the given form's drafts.
+     * 
+     * @param {HTMLFormElement} form   The form to update the drafts of.
+     * @param {Object}          config The config containing the storage options.
+     * @param {Function}        update A function like `fn(drafts)` returning the updated drafts.
+     * 
+     * @return {Promise|undefined} A promise resolving once updated if the storage adapter is asynchronous.
+     */
+    function updateDrafts(form, config, update) {
+        let storage = getStorage(config)
+        let key = getDraftsStorageKey(form, config.uuid)
+        return whenResolved(storage.getItem(key), value => {
+            let drafts = update(value ? JSON.parse(value) : [])
+            return drafts.length > 0 ? storage.setItem(key, JSON.stringify(drafts)) : storage.removeItem(key)
+        })
+    }
+
+    /**
+     * Runs the given hook function and dispatches a cancelable `formpersistence:<type>` event on the given form,
+     * either of which can replace the given data or cancel the operation. The hook cancels by returning `false`, and
+     * event listeners cancel by calling `preventDefault()` or replace the data by setting `event.detail.data`.
+     * 
+     * @param {HTMLFormElement} form The form to dispatch the event on.
+     * @param {Function}        hook The hook function like `fn(data)`, or `null`.
+     * @param {String}          type The event type suffix.
+     * @param {Object}          data The form data.
+     * 
+     * @return {Object} The possibly replaced form data, or `null` if canceled.
+     */
+    function runBeforeHook(form, hook, type, data) {
+        if (hook) {
+            let result = hook(data)
+            if (result === false) {
+                return null
+            }
+            if (result) {
+                data = result
+            }
+        }
+        let event = dispatchFormEvent(form, type, { data: data }, true)
+        return event.defaultPrevented ? null : event.detail.data
+    }
+
+    /**
+     * Runs the given hook function with the given detail's only value, if any, and dispatches a
+     * `formpersistence:<type>` event with the given detail on the given form.
+     */
+    function runAfterHook(form, hook, type, detail) {
+        if (hook) {
+            hook(...Object.values(detail))
+        }
+        dispatchFormEvent(form, type, detail, false)
+    }
+
+    /**
+     * Runs the given function, reporting any error it throws or any rejection of the promise it returns by calling the
+     * given `onError` hook and dispatching a `formpersistence:error` event with the error on the given form.
+     */
+    function reportErrors(form, onError, fn) {
+        let report = error => runAfterHook(form, onError, 'error', { error: error })
+        try {
+            let result = fn()
+            if (isPromise(result)) {
+                result.catch(report)
+            }
+        } catch (error) {
+            report(error)
+        }
+    }
+
+    /**
+     * Dispatches a `formpersistence:<type>` custom event on the given form.
+     * 
+     * @return {CustomEvent} The dispatched event.
+     */
+    function dispatchFormEvent(form, type, detail, cancelable) {
+        let event = new CustomEvent('formpersistence:' + type, { detail: detail, cancelable: cancelable })
+        form.dispatchEvent(event)
+        return event
+    }
+
+    /**
+     * Packs the given form data into a stored entry containing the data along with its version, save time, and expiry
+     * time, and the configured merge base if any, encrypting the data and base if configured.
+     * 
+     * @param {Object} data   The serialized form data.
+     * @param {Object} config The save config.
+     * 
+     * @return {String|Promise} The JSON entry, or a promise resolving to it if encrypting.
+     */
+    function packEntry(data, config) {
+        let savedAt = Date.now()
+        let expiresAt = null
+        if (config.expiresAt !== null) {
+            expiresAt = new Date(config.expiresAt).getTime()
+        } else if (config.maxAge !== null) {
+            expiresAt = savedAt + config.maxAge
+        }
+        let encode = value => config.encryption ? encrypt(JSON.stringify(value), config.encryption) : value
+        let encoded = config.base ? [encode(data), encode(config.base)] : [encode(data)]
+        return whenResolved(encoded.some(isPromise) ? Promise.all(encoded) : encoded, ([encodedData, encodedBase]) => {
+            let entry = {
+                version: config.version,
+                savedAt: savedAt,
+                expiresAt: expiresAt,
+                data: encodedData
+            }
+            if (encodedBase !== undefined) {
+                entry.base = encodedBase
+            }
+            return JSON.stringify(entry)
+        })
+    }
+
+    /**
+     * Unpacks the given stored entry, decrypting its data if configured.
+     * 
+     * @param {String} value  The JSON entry.
+     * @param {Object} config The load config.
+     * 
+     * @return {Object|Promise} The entry containing `version`, `savedAt`, `expiresAt`, `data`, and `base` if saved
+     *                          with a merge base, or a promise resolving to it if decrypting. Resolves to `null` if the
+     *                          entry is expired, cannot be read, or cannot be migrated to the configured version.
+     */
+    function unpackEntry(value, config) {
+        let entry = parseEntry(value)
+        if (entry === null || isExpired(entry, config)) {
+            return null
+        }
+        let decode = value => config.encryption
+            ? decrypt(value, config.encryption).then(JSON.parse).catch(() => null)
+            : value
+        let decoded = 'base' in entry ? [decode(entry.data), decode(entry.base)] : [decode(entry.data)]
+        return whenResolved(decoded.some(isPromise) ? Promise.all(decoded) : decoded, ([data, base]) => {
+            if (data === null || typeof data !== 'object') {
+                return null
+            }
+            data = migrate(data, entry.version, config)
+            if (data === null) {
+                return null
+            }
+            let unpacked = Object.assign({}, entry, { version: config.version, data: data })
+            if ('base' in entry) {
+                // discard an unreadable base without discarding the data
+                unpacked.base = base !== null && typeof base === 'object' ? migrate(base, entry.version, config) : null
+            }
+            return unpacked
+        })
+    }
+
+    /**
+     * Migrates the given data from the given version to the configured version by applying each migration function
+     * in turn, like `fromVersion: fn(data)` returning the data for the next version.
+     * 
+     * @param {Object} data    The saved form data.
+     * @param {Number} version The version the data was saved with.
+     * @param {Object} config  The load config containing `version` and `migrations` options.
+     * 
+     * @return {Object} The migrated data, or `null` if no migration path exists or a migration returns no data.
+     */
+    function migrate(data, version, config) {
+        if (version > config.version) {
+            return null // data saved by a newer version cannot be migrated backward
+        }
+        while (version < config.version) {
+            let migration = config.migrations[version]
+            if (!migration) {
+                return null
+            }
+            data = migration(data)
+            if (!data) {
+                return null
+            }
+            version++
+        }
+        return data
+    }
+
+    /**
+     * Parses the given stored entry without decrypting its data.
+     * Data saved by earlier versions of this library without save times is wrapped in an entry of version `0`.
+     * 
+     * @return {Object} The parsed entry, or `null` if the value is not valid JSON.
+     */
+    function parseEntry(value) {
+        let entry
+        try {
+            entry = JSON.parse(value)
+        } catch (error) {
+            return null
+        }
+        if (entry === null || typeof entry.savedAt !== 'number') {
+            return { version: 0, savedAt: null, expiresAt: null, data: entry }
+        }
+        return Object.assign({ version: 0 }, entry)
+    }
+
+    /**
+     * Checks if the given entry has expired, either by its stored expiry time or by the given config's `maxAge` and
+     * `expiresAt` options.
+     */
+    function isExpired(entry, config) {
+        let now = Date.now()
+        if (entry.expiresAt !== null && entry.expiresAt <= now) {
+            return true
+        }
+        if (config.expiresAt !== null && new Date(config.expiresAt).getTime() <= now) {
+            return true
+        }
+        return config.maxAge !== null && entry.savedAt !== null && entry.savedAt + config.maxAge <= now
+    }
+
+    /**
+     * Removes all expired saved form data from storage.
+     * 
+     * @param {Object} options Options object containing any of the following:
+     *  * useSessionStorage - Use session storage if `true`, local storage if `false`. Default `false`.
+     *  * storage - A storage adapter implementing `keys` in addition to `getItem`, `setItem`, and `removeItem`, or
+     *              the name of a built-in adapter. Overrides `useSessionStorage` if specified.
+     *  * maxAge - Also remove data saved longer than this many milliseconds ago.
+     *  * expiresAt - Also remove all data if this date has passed.
+     *  * persistFiles - Also remove the files saved with removed data from `fileStorage` if `true`. Default `false`.
+     *  * fileStorage - The storage adapter for files. Default `'indexedDB'`.
+     * 
+     * @return {Array|Promise} The removed storage keys, or a promise resolving to them if the storage adapter is
+     *                         asynchronous.
+     * @throws {Error} If the storage adapter does not implement `keys`.
+     */
+    function purgeExpired(options) {
+        let defaults = {
+            useSessionStorage: false,
+            storage: null,
+            maxAge: null,
+            expiresAt: null,
+            persistFiles: false,
+            fileStorage: 'indexedDB'
+        }
+        let config = Object.assign({}, defaults, options)
+        let storage = getStorage(config)
+        if (!storage.keys) {
+            throw Error('form persistence storage does not support listing keys')
+        }
+        return whenResolved(storage.keys(), keys => {
+            let purged = []
+            let removals = keys.filter(key => key.startsWith('form#')).map(key => {
+                return whenResolved(storage.getItem(key), value => {
+                    let entry = parseEntry(value)
+                    if (entry !== null && entry.savedAt !== null && isExpired(entry, config)) {
+                        purged.push(key)
+                        let removed = storage.removeItem(key)
+                        return config.persistFiles ? Promise.all([removed, removeFiles(key, config)]) : removed
+                    }
+                })
+            })
+            if (removals.some(isPromise)) {
+                return Promise.all(removals).then(() => purged)
+            }
+            return purged
+        })
+    }
+
+    /**
+     * Encrypts the given text with AES-GCM using a random initialization vector.
+     * 
+     * @param {String} text       The text to encrypt.
+     * @param {Object} encryption The encryption options containing a `key` or `password`.
+     * 
+     * @return {Promise} A promise resolving to a JSON string containing the base64 encoded initialization vector,
+     *                   ciphertext, and PBKDF2 salt if using a password.
+     */
+    function encrypt(text, encryption) {
+        let iv = crypto.getRandomValues(new Uint8Array(12))
+        return getEncryptionKey(encryption, null).then(({ key, salt }) => {
+            let bytes = new TextEncoder().encode(text)
+            return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, bytes).then(ciphertext => JSON.stringify({
+                iv: toBase64(iv),
+                salt: salt ? toBase64(salt) : null,
+                ciphertext: toBase64(new Uint8Array(ciphertext))
+            }))
+        })
+    }
+
+    /**
+     * Decrypts the given value created by `encrypt`.
+     * 
+     * @param {String} value      The encrypted value.
+     * @param {Object} encryption The encryption options containing a `key` or `password`.
+     * 
+     * @return {Promise} A promise resolving to the decrypted text, or rejecting if decryption fails.
+     */
+    function decrypt(value, encryption) {
+        return Promise.resolve(value).then(JSON.parse).then(payload => {
+            let salt = payload.salt ? fromBase64(payload.salt) : null
+            return getEncryptionKey(encryption, salt).then(({ key }) => {
+                let algorithm = { name: 'AES-GCM', iv: fromBase64(payload.iv) }
+                return crypto.subtle.decrypt(algorithm, key, fromBase64(payload.ciphertext))
+            })
+        }).then(bytes => new TextDecoder().decode(bytes))
+    }
+
+    /**
+     * Derived keys cached by encryption options, so that passwords need not be derived upon every save.
+     */
+    const derivedKeys = new WeakMap()
+
+    /**
+     * Gets the AES-GCM key for the given encryption options, deriving it from a password if needed.
+     * 
+     * @param {Object}     encryption The encryption options containing a `key` or `password`.
+     * @param {Uint8Array} salt       The PBKDF2 salt to derive a key with, or `null` to use a random salt.
+     * 
+     * @return {Promise} A promise resolving to an object containing the `key` and the PBKDF2 `salt` if applicable.
+     */
+    function getEncryptionKey(encryption, salt) {
+        if (encryption.key) {
+            return Promise.resolve({ key: encryption.key, salt: null })
+        }
+        let cached = derivedKeys.get(encryption)
+        if (cached && (!salt || toBase64(salt) === toBase64(cached.salt))) {
+            return cached.derivation
+        }
+        salt = salt || crypto.getRandomValues(new Uint8Array(16))
+        let password = new TextEncoder().encode(encryption.password)
+        let derivation = crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveKey']).then(baseKey => {
+            let algorithm = {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: encryption.iterations || 600000,
+                hash: 'SHA-256'
+            }
+            let usages = ['encrypt', 'decrypt']
+            return crypto.subtle.deriveKey(algorithm, baseKey, { name: 'AES-GCM', length: 256 }, false, usages)
+        }).then(key => ({ key, salt }))
+        derivedKeys.set(encryption, { salt, derivation })
+        return derivation
+    }
+
+    /**
+     * Encodes the given bytes as a base64 string.
+     */
+    function toBase64(bytes) {
+        let binary = ''
+        for (let byte of bytes) {
+            binary += String.fromCharCode(byte)
+        }
+        return btoa(binary)
+    }
+
+    /**
+     * Decodes the given base64 string into bytes.
+     */
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0))
+    }
+
+    /**
+     * Saves the files selected in the given form's file inputs to file storage.
+     * Each file is stored with its name, type, last modified time, and bytes, all encrypted if configured.
+     * 
+     * @param {HTMLFormElement} form   The form containing file inputs to save.
+     * @param {Object}          config The save config.
+     * 
+     * @return {Promise} A promise resolving once saved.
+     */
+    function saveFiles(form, config) {
+        let inputs = getFileInputs(form, config)
+        let fileStorage = getStorage({ storage: config.fileStorage })
+        let key = getFileStorageKey(form, config.uuid)
+        let selections = getSavedFileSelections(fileStorage)
+        let selection = getFileSelection(inputs)
+        if (selections.get(key) === selection) {
+            // avoid reading and writing unchanged files upon every save
+            return Promise.resolve()
+        }
+        let readers = inputs.map(input => {
+            let files = [...input.files]
+            let size = files.reduce((total, file) => total + file.size, 0)
+            let maxSize = input.name in config.maxFileSizes ? config.maxFileSizes[input.name] : config.maxFileSize
+            if (size > maxSize) {
+                return null // do not persist selections exceeding the size limit
+            }
+            return Promise.all(files.map(file => readFileBytes(file).then(bytes => ({
+                name: file.name,
+                type: file.type,
+                lastModified: file.lastModified,
+                bytes: bytes
+            }))))
+        })
+        return Promise.all(readers).then(records => {
+            let files = {}
+            inputs.forEach((input, i) => pushToArray(files, input.name, records[i]))
+            let encoded = files
+            if (config.encryption) {
+                // encode the bytes as base64 to encrypt the records as JSON like the form data
+                let json = JSON.stringify(files, (name, value) => {
+                    return value instanceof ArrayBuffer ? toBase64(new Uint8Array(value)) : value
+                })
+                encoded = encrypt(json, config.encryption)
+            }
+            return Promise.resolve(encoded).then(value => fileStorage.setItem(key, value))
+        }).then(() => {
+            selections.set(key, selection)
+        })
+    }
+
+    /**
+     * The selections last saved or loaded by file storage adapter and key, as created by `getFileSelection`.
+     */
+    const savedFileSelections = new WeakMap()
+
+    /**
+     * Gets the map of the selections last saved to or loaded from the given file storage adapter by key.
+     */
+    function getSavedFileSelections(fileStorage) {
+        if (!savedFileSelections.has(fileStorage)) {
+            savedFileSelections.set(fileStorage, new Map())
+        }
+        return savedFileSelections.get(fileStorage)
+    }
+
+    /**
+     * Describes the files selected in the given file inputs by their names, types, sizes, and modification times, to
+     * detect changed selections without reading the files.
+     */
+    function getFileSelection(inputs) {
+        return JSON.stringify(inputs.map(input => [input.name, [...input.files].map(file => {
+            return [file.name, file.type, file.size, file.lastModified]
+        })]))
+    }
+
+    /**
+     * Removes the files saved with the entry under the given storage key from file storage.
+     * 
+     * @param {String} key    The storage key of the entry.
+     * @param {Object} config The config containing the `fileStorage` option.
+     * 
+     * @return {Promise|undefined} A promise resolving once removed if the file storage adapter is asynchronous.
+     */
+    function removeFiles(key, config) {
+        let fileStorage = getStorage({ storage: config.fileStorage })
+        getSavedFileSelections(fileStorage).delete(key + '#files')
+        return fileStorage.removeItem(key + '#files')
+    }
+
+    /**
+     * Loads saved files from file storage into the given form's file inputs, decrypting them if configured.
+     * Does nothing in browsers that do not support constructing `DataTransfer` objects, or if the files cannot be
+     * decrypted.
+     * 
+     * @param {HTMLFormElement} form   The form containing file inputs to load files into.
+     * @param {Object}          config The load config.
+     * 
+     * @return {Promise} A promise resolving once loaded.
+     */
+    function loadFiles(form, config) {
+        let fileStorage = getStorage({ storage: config.fileStorage })
+        return Promise.resolve(fileStorage.getItem(getFileStorageKey(form, config.uuid))).then(files => {
+            if (!files || !config.encryption) {
+                return files
+            }
+            return decrypt(files, config.encryption).then(json => JSON.parse(json, (name, value) => {
+                return name === 'bytes' ? fromBase64(value).buffer : value
+            })).catch(() => null)
+        }).then(files => {
+            if (!files || typeof DataTransfer === 'undefined') {
+                return
+            }
+            let inputs = getFileInputs(form, config)
+            for (let name in files) {
+                inputs.filter(input => input.name === name).forEach((input, i) => {
+                    let records = files[name][i]
+                    if (records) {
+                        let transfer = new DataTransfer()
+                        for (let record of records) {
+                            transfer.items.add(new File([record.bytes], record.name, {
+                                type: record.type,
+                                lastModified: record.lastModified
+                            }))
+                        }
+                        input.files = transfer.files
+                    }
+                })
+            }
+            // the restored selection is already saved
+            getSavedFileSelections(fileStorage).set(getFileStorageKey(form, config.uuid), getFileSelection(inputs))
+        })
+    }
+
+    /**
+     * Gets the given form's file inputs that are not skipped by their `data-persist` attributes or the filters.
+     */
+    function getFileInputs(form, config) {
+        let filters = Object.assign({}, config, { include: config.include || [], exclude: config.exclude || [] })
+        return [...form.elements].filter(element => element.tagName === 'INPUT' && element.type === 'file'
+            && !isSkipped(element, element.name, filters))
+    }
+
+    /**
+     * Reads the given file's bytes.
+     * 
+     * @param {File} file The file to read.
+     * 
+     * @return {Promise} A promise resolving to an `ArrayBuffer` of the file's bytes.
+     */
+    function readFileBytes(file) {
+        return new Promise((resolve, reject) => {
+            let reader = new FileReader()
+            reader.onload = () => resolve(reader.result)
+            reader.onerror = () => reject(reader.error)
+            reader.readAsArrayBuffer(file)
+        })
+    }
+
+    /**
+     * Saves the given form like `FormPersistence#save`, always returning a promise.
+     * 
+     * @param {HTMLFormElement} form    The form to serialize to storage.
+     * @param {Object}          options The options accepted by `FormPersistence#save`.
+     * 
+     * @return {Promise} A promise resolving once saved, or rejecting if saving fails.
+     */
+    function saveAsync(form, options) {
+        return new Promise(resolve => resolve(save(form, options)))
+    }
+
+    /**
+     * Loads the given form like `FormPersistence#load`, always returning a promise.
+     * 
+     * @param {HTMLFormElement} form    The form to load saved values into.
+     * @param {Object}          options The options accepted by `FormPersistence#load`.
+     * 
+     * @return {Promise} A promise resolving once loaded, or rejecting if loading fails.
+     */
+    function loadAsync(form, options) {
+        return new Promise(resolve => resolve(load(form, options)))
+    }
+
+    /**
+     * Clears the given form's saved data like `FormPersistence#clearStorage`, always returning a promise.
+     * 
+     * @param {HTMLFormElement} form    The form to clear stored data for.
+     * @param {Object}          options The options accepted by `FormPersistence#clearStorage`.
+     * 
+     * @return {Promise} A promise resolving once cleared, or rejecting if clearing fails.
+     */
+    function clearStorageAsync(form, options) {
+        return new Promise(resolve => resolve(clearStorage(form, options)))
+    }
+
+    /**
+     * Gets the storage adapter to use for the given config.
+     * 
+     * @param {Object} config The config containing `storage` and `useSessionStorage` options.
+     * 
+     * @return {Object} The storage adapter.
+     * @throws {Error} If given the name of an unknown built-in adapter.
+     */
+    function getStorage(config) {
+        let storage = config.storage
+        if (!storage) {
+            storage = config.useSessionStorage ? 'session' : 'local'
+        }
+        if (typeof storage === 'string') {
+            if (!(storage in namedStorages)) {
+                throw Error('unknown form persistence storage: ' + storage)
+            }
+            return namedStorages[storage]
+        }
+        return storage
+    }
+
+    /**
+     * Calls the given callback with the given value, waiting for the value to resolve first if it is a promise.
+     * This lets synchronous storage adapters keep working synchronously.
+     * 
+     * @return {*} The callback's return value, or a promise resolving to it if given a promise.
+     */
+    function whenResolved(value, callback) {
+        if (isPromise(value)) {
+            return value.then(callback)
+        }
+        return callback(value)
+    }
+
+    /**
+     * Checks if the given value is a promise or other thenable.
+     */
+    function isPromise(value) {
+        return Boolean(value) && typeof value.then === 'function'
+    }
+
+    /**
+     * Creates a storage adapter backed by the web storage object of the given name, either `localStorage` or
+     * `sessionStorage`. The storage object is looked up upon each call because accessing it can throw in some
+     * environments, like Safari private browsing or sandboxed frames.
+     * 
+     * @param {String} name The name of the web storage object.
+     * 
+     * @return {Object} The storage adapter.
+     */
+    function createWebStorage(name) {
+        return {
+            getItem: key => window[name].getItem(key),
+            setItem: (key, value) => window[name].setItem(key, value),
+            removeItem: key => window[name].removeItem(key),
+            keys: () => {
+                let storage = window[name]
+                let keys = []
+                for (let i = 0; i < storage.length; i++) {
+                    keys.push(storage.key(i))
+                }
+                return keys
+            }
+        }
+    }
+
+    /**
+     * Creates a storage adapter that holds values in memory for the lifetime of the page.
+     * 
+     * @return {Object} The storage adapter.
+     */
+    function createMemoryStorage() {
+        let items = new Map()
+        return {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => {
+                items.set(key, String(value))
+            },
+            removeItem: key => {
+                items.delete(key)
+            },
+            keys: () => [...items.keys()]
+        }
+    }
+
+    /**
+     * Creates a storage adapter backed by cookies. Note that browsers limit cookies to about 4KB each.
+     * 
+     * @param {Object} options Options object containing any of the following:
+     *  * path - The cookie path. Default `'/'`.
+     *  * maxAge - The cookie lifetime in seconds. Default one year.
+     *  * sameSite - The cookie SameSite attribute. Default `'Lax'`.
+     *  * secure - Restrict the cookie to secure connections if `true`. Default `false`.
+     * 
+     * @return {Object} The storage adapter.
+     */
+    function createCookieStorage(options) {
+        let defaults = {
+            path: '/',
+            maxAge: 60 * 60 * 24 * 365,
+            sameSite: 'Lax',
+            secure: false
+        }
+        let config = Object.assign({}, defaults, options)
+        let readCookies = () => {
+            let cookies = {}
+            for (let cookie of document.cookie.split(';')) {
+                let separator = cookie.indexOf('=')
+                if (separator > 0) {
+                    // skip malformed cookies set by other code rather than failing to read any cookie
+                    try {
+                        let key = decodeURIComponent(cookie.slice(0, separator).trim())
+                        cookies[key] = decodeURIComponent(cookie.slice(separator + 1).trim())
+                    } catch (error) {
+                        continue
+                    }
+                }
+            }
+            return cookies
+        }
+        let writeCookie = (key, value, maxAge) => {
+            let cookie = encodeURIComponent(key) + '=' + encodeURIComponent(value)
+                + '; path=' + config.path + '; max-age=' + maxAge + '; samesite=' + config.sameSite
+            if (config.secure) {
+                cookie += '; secure'
+            }
+            document.cookie = cookie
+        }
+        return {
+            getItem: key => {
+                let cookies = readCookies()
+                return key in cookies ? cookies[key] : null
+            },
+            setItem: (key, value) => writeCookie(key, value, config.maxAge),
+            removeItem: key => writeCookie(key, '', 0),
+            keys: () => Object.keys(readCookies())
+        }
+    }
+
+    /**
+     * Creates an asynchronous storage adapter backed by IndexedDB, which allows storing much larger forms than
+     * web storage. The database is opened upon first use.
+     * 
+     * @param {Object} options Options object containing any of the following:
+     *  * databaseName - The name of the IndexedDB database. Default `'form-persistence'`.
+     *  * storeName - The name of the object store within the database. Default `'forms'`.
+     * 
+     * @return {Object} The storage adapter.
+     */
+    function createIndexedDBStorage(options) {
+        let defaults = {
+            databaseName: 'form-persistence',
+            storeName: 'forms'
+        }
+        let config = Object.assign({}, defaults, options)
+        let database = null
+        let openDatabase = () => {
+            if (!database) {
+                database = requestDatabase(config.databaseName, undefined, config.storeName).then(db => {
+                    if (db.objectStoreNames.contains(config.storeName)) {
+                        return db
+                    }
+                    // upgrade a database created by an adapter with another store name to add this adapter's store
+                    let version = db.version + 1
+                    db.close()
+                    return requestDatabase(config.databaseName, version, config.storeName)
+                }).then(db => {
+                    // close the connection when another adapter upgrades the database, reopening it upon next use
+                    db.onversionchange = () => {
+                        db.close()
+                        database = null
+                    }
+                    return db
+                })
+                // allow opening to be retried after a failure
+                database.catch(() => {
+                    database = null
+                })
+            }
+            return database
+        }
+        let runRequest = (mode, operation) => openDatabase().then(db => new Promise((resolve, reject) => {
+            let transaction = db.transaction(config.storeName, mode)
+            let request = operation(transaction.objectStore(config.storeName))
+            transaction.oncomplete = () => resolve(request.result)
+            transaction.onerror = () => reject(transaction.error)
+            transaction.onabort = () => reject(transaction.error)
+        }))
+        return {
+            getItem: key => runRequest('readonly', store => store.get(key))
+                .then(value => value === undefined ? null : value),
+            setItem: (key, value) => runRequest('readwrite', store => store.put(value, key)).then(() => {}),
+            removeItem: key => runRequest('readwrite', store => store.delete(key)).then(() => {}),
+            keys: () => runRequest('readonly', store => store.getAllKeys())
+        }
+    }
+
+    /**
+     * Opens the given IndexedDB database, creating the given object store if upgrading the database.
+     * 
+     * @param {String} name      The database name.
+     * @param {Number} version   The version to open, or `undefined` to open the current version.
+     * @param {String} storeName The name of the object store to create if missing.
+     * 
+     * @return {Promise} A promise resolving to the database.
+     */
+    function requestDatabase(name, version, storeName) {
+        return new Promise((resolve, reject) => {
+            let request = version === undefined ? indexedDB.open(name) : indexedDB.open(name, version)
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(storeName)) {
+                    request.result.createObjectStore(storeName)
+                }
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+    }
+
+    /**
+     * Creates an asynchronous storage adapter that uses the first of the given storage adapters that works.
+     * If an adapter throws or rejects, such as upon exceeding its quota or being unavailable, the operation is retried
+     * with the next adapter. Each operation tries the adapters in order again, so that an adapter recovering from a
+     * transient failure is used again. Reading returns the most recently saved value found in any of the adapters, so
+     * that data saved to either adapter remains available.
+     * 
+     * @param {Array} storages The storage adapters or built-in adapter names to try, in order.
+     * 
+     * @return {Object} The storage adapter.
+     */
+    function createFallbackStorage(storages) {
+        let getStorages = () => storages.map(storage => getStorage({ storage: storage }))
+        let run = (storage, method, args) => new Promise(resolve => resolve(storage[method](...args)))
+        // run the operation with each adapter in order until one succeeds, resolving to its index
+        let attempt = (method, args, index=0) => {
+            return run(getStorages()[index], method, args).then(() => index, error => {
+                if (index >= storages.length - 1) {
+                    throw error
+                }
+                return attempt(method, args, index + 1)
+            })
+        }
+        // run the operation with all adapters, resolving to the results of those that succeed
+        let attemptAll = (method, args) => {
+            let outcomes = getStorages().map(storage => run(storage, method, args).then(
+                result => ({ result: result }),
+                error => ({ error: error })))
+            return Promise.all(outcomes).then(outcomes => {
+                let succeeded = outcomes.filter(outcome => !('error' in outcome))
+                if (succeeded.length === 0) {
+                    throw outcomes[outcomes.length - 1].error
+                }
+                return succeeded.map(outcome => outcome.result)
+            })
+        }
+        return {
+            getItem: key => attemptAll('getItem', [key]).then(values => {
+                // prefer the most recently saved value, and the first adapter's value if equally recent
+                return values.filter(value => value !== null && value !== undefined).reduce((newest, value) => {
+                    return newest === null || getSavedAt(value) > getSavedAt(newest) ? value : newest
+                }, null)
+            }),
+            setItem: (key, value) => attempt('setItem', [key, value]).then(index => {
+                // remove older copies from the other adapters, ignoring adapters that are unavailable
+                let removals = getStorages().filter((storage, i) => i !== index)
+                    .map(storage => run(storage, 'removeItem', [key]).catch(() => {}))
+                return Promise.all(removals).then(() => {})
+            }),
+            removeItem: key => attemptAll('removeItem', [key]).then(() => {}),
+            keys: () => attemptAll('keys', []).then(keys => [...new Set([].concat(...keys))])
+        }
+    }
+
+    /**
+     * Creates an asynchronous storage adapter that keeps data in a local storage adapter and syncs it to a remote
+     * endpoint, so that forms can be continued on other devices. Writes made while offline or failing are queued and
+     * sent once back online. Reading prefers whichever of the local and remote data was saved last. Removals not yet
+     * sent are also recorded in the local adapter, so that they are sent and the removed remote data is not read after
+     * reloading the page.
+     * 
+     * @param {Object} options Options object containing any of the following:
+     *  * endpoint - The base URL to which storage keys are appended, like `https://example.com/drafts`, or a function
+     *               like `fn(key)` returning the URL for the given key. Required.
+     *  * transport - A function like `fn(method, url, body)` sending `GET`, `PUT`, and `DELETE` requests, returning a
+     *                promise resolving to the response body of `GET` requests or `null` if not found, or rejecting if
+     *                the request fails. Default sends requests with `fetch`.
+     *  * headers - Headers to send with each request when using the default transport, like authorization headers.
+     *  * local - The local storage adapter or built-in adapter name. Default `'local'`.
+     * 
+     * @return {Object} The storage adapter, which also contains the following functions:
+     *  * flush() - Attempts queued writes, returning a promise resolving once attempted.
+     *  * destroy() - Stops sending queued writes once back online and discards them, except recorded removals.
+     * @throws {Error} If no endpoint is given.
+     */
+    function createRemoteStorage(options) {
+        let defaults = {
+            endpoint: null,
+            transport: null,
+            headers: {},
+            local: 'local'
+        }
+        let config = Object.assign({}, defaults, options)
+        if (!config.endpoint) {
+            throw Error('form persistence remote storage requires an endpoint')
+        }
+        let local = getStorage({ storage: config.local })
+        let transport = config.transport || ((method, url, body) => fetchRemote(method, url, body, config.headers))
+        let getUrl = key => typeof config.endpoint === 'function'
+            ? config.endpoint(key)
+            : config.endpoint.replace(/\/$/, '') + '/' + encodeURIComponent(key)
+        let isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false
+        // keys removed locally but not yet remotely, kept in the local adapter to outlive the page
+        let removalsKey = 'form-persistence#removals'
+        let readRemovals = () => Promise.resolve(local.getItem(removalsKey))
+            .then(value => value ? JSON.parse(value) : [])
+        let updating = Promise.resolve()
+        let updateRemovals = (key, removed) => {
+            // update the recorded removals one at a time to avoid losing concurrent updates
+            let updated = updating.then(readRemovals).then(keys => {
+                keys = keys.filter(other => other !== key).concat(removed ? [key] : [])
+                if (keys.length === 0) {
+                    return local.removeItem(removalsKey)
+                }
+                return local.setItem(removalsKey, JSON.stringify(keys))
+            })
+            updating = updated.catch(() => {})
+            return updated
+        }
+        // queued writes by key, holding the value to put or null to delete
+        let queue = new Map()
+        let push = (key, value) => {
+            queue.set(key, value)
+            if (!isOnline()) {
+                return Promise.resolve()
+            }
+            let request = value === null ? transport('DELETE', getUrl(key)) : transport('PUT', getUrl(key), value)
+            return Promise.resolve(request).then(() => {
+                if (queue.get(key) === value) {
+                    queue.delete(key)
+                    if (value === null) {
+                        return updateRemovals(key, false)
+                    }
+                }
+            }).catch(() => {}) // keep failed writes queued to retry once back online
+        }
+        let flush = () => Promise.all([...queue].map(([key, value]) => push(key, value))).then(() => updating)
+        let reconcile = (key, localValue, remoteValue) => {
+            if (remoteValue === null || remoteValue === undefined) {
+                return localValue
+            }
+            if (localValue !== null && getSavedAt(localValue) > getSavedAt(remoteValue)) {
+                push(key, localValue)
+                return localValue
+            }
+            if (remoteValue === localValue) {
+                return localValue
+            }
+            return whenResolved(local.setItem(key, remoteValue), () => remoteValue)
+        }
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', flush)
+        }
+        // send the removals recorded before the page was reloaded
+        readRemovals().then(keys => keys.filter(key => !queue.has(key)).forEach(key => push(key, null)), () => {})
+        return {
+            getItem: key => Promise.all([local.getItem(key), readRemovals()]).then(([localValue, removals]) => {
+                if (removals.includes(key) && !queue.has(key)) {
+                    push(key, null)
+                }
+                // local data awaiting upload is newer than the remote data
+                if (queue.has(key) || !isOnline()) {
+                    return localValue
+                }
+                return Promise.resolve(transport('GET', getUrl(key)))
+                    .then(remoteValue => reconcile(key, localValue, remoteValue), () => localValue)
+            }),
+            setItem: (key, value) => Promise.resolve(local.setItem(key, value))
+                .then(() => updateRemovals(key, false))
+                .then(() => push(key, value)),
+            removeItem: key => Promise.resolve(local.removeItem(key))
+                .then(() => updateRemovals(key, true))
+                .then(() => push(key, null)),
+            keys: () => Promise.resolve(local.keys()).then(keys => keys.filter(key => key !== removalsKey)),
+            flush: flush,
+            destroy: () => {
+                if (typeof window !== 'undefined') {
+                    window.removeEventListener('online', flush)
+                }
+                queue.clear()
+            }
+        }
+    }
+
+    /**
+     * Sends a request for remote storage with `fetch`.
+     * 
+     * @return {Promise} A promise resolving to the response body of `GET` requests or `null` if not found, or
+     *                   rejecting if the request fails.
+     */
+    function fetchRemote(method, url, body, headers) {
+        let init = { method: method, headers: headers }
+        if (body !== undefined) {
+            init.headers = Object.assign({ 'Content-Type': 'application/json' }, headers)
+            init.body = body
+        }
+        return fetch(url, init).then(response => {
+            if (method === 'GET' && response.status === 404) {
+                return null
+            }
+            if (!response.ok) {
+                throw Error('form persistence remote storage request failed with status ' + response.status)
+            }
+            return method === 'GET' ? response.text() : null
+        })
+    }
+
+    /**
+     * Gets the save time of the given stored value, or `-Infinity` if it has none, such as legacy data.
+     */
+    function getSavedAt(value) {
+        let entry = parseEntry(value)
+        return entry !== null && entry.savedAt !== null ? entry.savedAt : -Infinity
+    }
+
+    /**
+     * Built-in storage adapters that can be specified by name in the `storage` option.
+     */
+    const namedStorages = {
+        local: createWebStorage('localStorage'),
+        session: createWebStorage('sessionStorage'),
+        memory: createMemoryStorage(),
+        cookie: createCookieStorage(),
+        indexedDB: createIndexedDBStorage(),
+        fallback: createFallbackStorage(['indexedDB', 'local', 'memory'])
     }
 
     /**
@@ -283,30 +2685,145 @@ const FormPersistence = (function () {
      * @param {HTMLElement} element The element to apply values to.
      * @param {Array} values        The array of values. Some element types use the first element instead of the index.
      * @param {Number} index        The index of the value array to apply if applicable.
-     * @param {Array} checkedBoxes  The array of checkboxes to add any clicked checkboxes to.
+     * @param {Object} config       The deserialize config.
      */
-    function applyValues(element, values, index) {
+    function applyValues(element, values, index, config) {
         let tag = element.tagName
-        if (tag === 'INPUT') {
+        let handler = getElementHandler(element)
+        let set = (target, property, value) => setProperty(target, property, value, config.dispatchEvents)
+        if (handler) {
+            handler.write(element, values[index])
+        } else if (tag === 'INPUT') {
             let type = element.type
             if (type === 'radio') {
-                element.checked = (element.value === values[0])
+                set(element, 'checked', element.value === values[0])
             } else if (type === 'checkbox') {
-                element.checked = values[index]
+                set(element, 'checked', values[index])
+            } else if (config.typed && typedInputTypes.includes(type)) {
+                set(element, 'value', formatTypedValue(element, values[index]))
             } else {
-                element.value = values[index]
+                set(element, 'value', values[index])
             }
         } else if (tag === 'TEXTAREA') {
-            element.value = values[index]
+            set(element, 'value', values[index])
         } else if (tag === 'SELECT') {
             if (element.multiple) {
                 for (let option of element.options) {
-                    option.selected = values.includes(option.value)
+                    set(option, 'selected', values.includes(option.value))
                 }
             } else {
-                element.value = values[index]
+                set(element, 'value', values[index])
+            }
+        }
+    }
+
+    /**
+     * Sets the given property of the given element, optionally through the setter defined by the element's
+     * prototype chain. Frameworks like React define their own value setters on elements to track changes made by the
+     * framework, which would hide the change from the `input` and `change` events dispatched afterwards.
+     * 
+     * @param {HTMLElement} element  The element to set the property of.
+     * @param {String}      property The property name, like `'value'` or `'checked'`.
+     * @param {*}           value    The value to set.
+     * @param {Boolean}     native   Set the property through the prototype's setter if `true`.
+     */
+    function setProperty(element, property, value, native) {
+        let prototype = native ? Object.getPrototypeOf(element) : null
+        while (prototype !== null) {
+            let descriptor = Object.getOwnPropertyDescriptor(prototype, property)
+            if (descriptor && descriptor.set) {
+                descriptor.set.call(element, value)
+                return
             }
+            prototype = Object.getPrototypeOf(prototype)
         }
+        element[property] = value
+    }
+
+    /**
+     * Dispatches bubbling `input` and `change` events on the given element to notify listeners and framework bindings
+     * of its deserialized value. Checkboxes that were toggled and radio buttons that were checked are clicked instead,
+     * which also dispatches `input` and `change` events, as frameworks like React listen for `click` events on them.
+     * 
+     * @param {HTMLElement} element    The element to dispatch events on.
+     * @param {Boolean}     wasChecked Whether the element was checked before deserializing, if it is an input.
+     */
+    function dispatchValueEvents(element, wasChecked) {
+        let checked = element.checked
+        let type = element.tagName === 'INPUT' ? element.type : null
+        if ((type === 'checkbox' && checked !== wasChecked) || (type === 'radio' && checked && !wasChecked)) {
+            // revert the element without notifying framework setters for the click to apply the deserialized state
+            setProperty(element, 'checked', wasChecked, true)
+            element.click()
+            if (element.checked === checked) {
+                return
+            }
+            // apply the state directly if the click was canceled or the element is disabled
+            setProperty(element, 'checked', checked, true)
+        }
+        element.dispatchEvent(new Event('input', { bubbles: true }))
+        element.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+
+    /**
+     * Input types whose values are converted to numbers, ISO dates, or nulls in typed mode.
+     */
+    const typedInputTypes = ['number', 'range', 'date', 'month', 'datetime-local', 'time', 'week']
+
+    /**
+     * Reads the given input's value as a typed value, following `valueAsNumber` and `valueAsDate` semantics.
+     * 
+     * @param {HTMLInputElement} element The input to read.
+     * 
+     * @return {*} A number for number and range inputs, an ISO date string for date, month, and datetime-local
+     *             inputs, the value string for time and week inputs, or `null` if the input is empty.
+     */
+    function readTypedValue(element) {
+        let value = element.value
+        if (value === '') {
+            return null
+        }
+        switch (element.type) {
+            case 'number':
+            case 'range':
+                return Number(value)
+            case 'date':
+                return new Date(value + 'T00:00:00Z').toISOString()
+            case 'month':
+                return new Date(value + '-01T00:00:00Z').toISOString()
+            case 'datetime-local':
+                return new Date(value).toISOString() // parsed as local time
+            default:
+                return value
+        }
+    }
+
+    /**
+     * Formats the given typed value created by `readTypedValue` as a value string for the given input. Also accepts
+     * `Date` objects and value strings.
+     * 
+     * @param {HTMLInputElement} element The input to format the value for.
+     * @param {*}                value   The typed value.
+     * 
+     * @return {String} The input value string.
+     */
+    function formatTypedValue(element, value) {
+        if (value === null || value === undefined) {
+            return ''
+        }
+        let type = element.type
+        let isDate = value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T.*Z$/.test(value))
+        if (isDate && (type === 'date' || type === 'month')) {
+            let iso = new Date(value).toISOString()
+            return type === 'date' ? iso.slice(0, 10) : iso.slice(0, 7)
+        } else if (isDate && type === 'datetime-local') {
+            let date = new Date(value)
+            let pad = number => String(number).padStart(2, '0')
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate())
+                + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes())
+                + (date.getSeconds() > 0 ? ':' + pad(date.getSeconds()) : '')
+        }
+        return String(value)
     }
 
     /**
@@ -351,16 +2868,72 @@ const FormPersistence = (function () {
         return 'form#' + (uuid ? uuid : form.id)
     }
 
+    /**
+     * Creates a file storage key for the given form.
+     * 
+     * @param {HTMLFormElement} form The form to create a file storage key for.
+     * 
+     * @return {String} The unique form file storage key.
+     * @throws {Error} If given a form without an id or uuid.
+     */
+    function getFileStorageKey(form, uuid) {
+        return getStorageKey(form, uuid) + '#files'
+    }
+
+    /**
+     * Creates a history storage key for the given form.
+     * 
+     * @param {HTMLFormElement} form The form to create a history storage key for.
+     * 
+     * @return {String} The unique form history storage key.
+     * @throws {Error} If given a form without an id or uuid.
+     */
+    function getHistoryStorageKey(form, uuid) {
+        return getStorageKey(form, uuid) + '#history'
+    }
+
+    /**
+     * Creates a draft list storage key for the given form.
+     * 
+     * @param {HTMLFormElement} form The form to create a draft list storage key for.
+     * 
+     * @return {String} The unique form draft list storage key.
+     * @throws {Error} If given a form without an id or uuid.
+     */
+    function getDraftsStorageKey(form, uuid) {
+        return getStorageKey(form, uuid) + '#drafts'
+    }
+
     /**
      * Return the public interface of FormPersistence.
      */
     return {
         persist: persist,
+        autoPersist: autoPersist,
         load: load,
         save: save,
         clearStorage: clearStorage,
+        listDrafts: listDrafts,
+        saveDraft: saveDraft,
+        loadDraft: loadDraft,
+        deleteDraft: deleteDraft,
+        saveAsync: saveAsync,
+        loadAsync: loadAsync,
+        clearStorageAsync: clearStorageAsync,
+        purgeExpired: purgeExpired,
         serialize: serialize,
-        deserialize: deserialize
+        deserialize: deserialize,
+        diff: diff,
+        merge: merge,
+        createHistory: createHistory,
+        registerElementHandler: registerElementHandler,
+        sensitivePatterns: sensitivePatterns,
+        storages: namedStorages,
+        createMemoryStorage: createMemoryStorage,
+        createCookieStorage: createCookieStorage,
+        createIndexedDBStorage: createIndexedDBStorage,
+        createFallbackStorage: createFallbackStorage,
+        createRemoteStorage: createRemoteStorage
     }
 })();
 
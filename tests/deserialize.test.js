@@ -113,6 +113,94 @@ const formTests = [
         form: Forms.CheckboxArrayForm,
         data: { test: [false, true] },
         validate: form => !form.elements[0].checked && form.elements[1].checked
+    },
+    {
+        label: 'deserializes contenteditable',
+        form: Forms.ContentEditableForm,
+        data: { test: ['<img src=x onerror=alert(1)>'], ignore: ['value'] },
+        validate: form => form.querySelector('[name=test]').textContent === '<img src=x onerror=alert(1)>'
+            && form.querySelector('[name=test] img') === null
+            && form.querySelector('[name=ignore]').innerHTML === ''
+    },
+    {
+        label: 'deserializes contenteditable html',
+        form: Forms.ContentEditableForm.replace("name='test'", "name='test' data-persist-html"),
+        data: { test: ['<b>test-value</b>'] },
+        validate: form => form.querySelector('[name=test]').innerHTML === '<b>test-value</b>'
+    },
+    {
+        label: 'deserializes nested format',
+        form: Forms.NestedForm,
+        data: {
+            title: 'test-title',
+            address: { city: 'test-city', zip: 12345 },
+            items: [{ qty: '1' }, null],
+            tags: [false, true],
+            ignored: { nested: 'value' }
+        },
+        validate: form => form.elements['title'].value === 'test-title'
+            && form.elements['address[city]'].value === 'test-city'
+            && form.elements['address.zip'].value === '12345'
+            && form.elements['items[0][qty]'].value === '1'
+            && form.elements['items[1][qty]'].value === ''
+            && !form.elements[5].checked && form.elements[6].checked,
+        options: { format: 'nested' }
+    },
+    {
+        label: 'does not deserialize nested objects into flat names',
+        form: Forms.NestedForm,
+        data: { address: { city: 'test-city' } },
+        validate: form => form.elements['address[city]'].value === 'test-city',
+        options: { format: 'nested', valueFunctions: { address: () => { throw Error('unexpected'); } } }
+    },
+    {
+        label: 'deserializes typed values',
+        form: Forms.TypedForm,
+        data: {
+            number: [1.5],
+            range: [3],
+            date: ['2020-01-02T00:00:00.000Z'],
+            month: [new Date(Date.UTC(2020, 2, 1))],
+            datetime: [new Date(2020, 0, 2, 10, 30).toISOString()],
+            time: ['10:30'],
+            text: ['7']
+        },
+        validate: form => form.elements['number'].value === '1.5'
+            && form.elements['range'].value === '3'
+            && form.elements['date'].value === '2020-01-02'
+            && form.elements['month'].value === '2020-03'
+            && form.elements['datetime'].value === '2020-01-02T10:30'
+            && form.elements['time'].value === '10:30'
+            && form.elements['text'].value === '7',
+        options: { typed: true }
+    },
+    {
+        label: 'deserializes null typed values as empty',
+        form: Forms.TypedForm,
+        data: { number: [null], date: [null] },
+        validate: form => form.elements['number'].value === '' && form.elements['date'].value === '',
+        options: { typed: true }
+    },
+    {
+        label: 'deserializes repeater rows',
+        form: Forms.RepeaterForm,
+        data: { title: ['test-title'], tag: ['a', 'b', 'c'] },
+        validate: form => form.querySelectorAll('span').length === 2
+            && [...form.elements].map(element => element.value).join() === 'test-title,a,b,c'
+    },
+    {
+        label: 'does not expand repeaters handled by value functions',
+        form: Forms.RepeaterForm,
+        data: { tag: ['a', 'b'] },
+        validate: form => form.querySelectorAll('span').length === 0,
+        options: { valueFunctions: { tag: () => {} } }
+    },
+    {
+        label: 'deserializes according to data-persist attributes',
+        form: Forms.AttributeForm,
+        data: { test: ['a'], 'opt-out': ['b'], sensitive: ['c'], 'opt-in': ['d'] },
+        validate: form => [...form.elements].map(element => element.value).join() === 'a,,,d,',
+        options: { include: ['test'], exclude: ['opt-in'] }
     }
 ];
 
@@ -123,4 +211,164 @@ formTests.forEach(formTest => {
         FormPersistence.deserialize(form, formTest.data, formTest.options);
         expect(formTest.validate(form)).toBeTruthy();
     });
-});
\ No newline at end of file
+});
+
+test('deserializes with registered element handler', () => {
+    let matcher = jest.fn(element => element.tagName === 'X-RATING');
+    FormPersistence.registerElementHandler(matcher, {
+        read: element => element.getAttribute('value'),
+        write: (element, value) => element.setAttribute('value', value)
+    });
+    document.body.innerHTML = Forms.CustomElementForm;
+    let form = document.forms[0];
+    expect(FormPersistence.deserialize(form, { test: ['4'] })).toEqual(['test']);
+    expect(form.querySelector('x-rating').getAttribute('value')).toBe('4');
+    expect(matcher).toHaveBeenCalled();
+});
+
+test('dispatches repeat event with added rows', () => {
+    document.body.innerHTML = Forms.RepeaterForm;
+    let form = document.forms[0];
+    let listener = jest.fn();
+    form.addEventListener('formpersistence:repeat', listener);
+    FormPersistence.deserialize(form, { tag: ['a'] });
+    expect(listener).not.toHaveBeenCalled();
+    FormPersistence.deserialize(form, { tag: ['a', 'b'] });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail.name).toBe('tag');
+    expect(listener.mock.calls[0][0].detail.rows).toEqual([form.querySelector('span')]);
+});
+
+test('dispatches input and change events after deserializing', () => {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let events = [];
+    let listener = event => events.push([event.type, event.target.name, FormPersistence.serialize(form)]);
+    form.addEventListener('input', listener);
+    form.addEventListener('change', listener);
+    FormPersistence.deserialize(form, { test1: ['value1'], test2: ['value2'] });
+    expect(events).toEqual([]);
+    FormPersistence.deserialize(form, { test1: ['a'], test2: ['b'] }, { dispatchEvents: true });
+    let data = { test1: ['a'], test2: ['b'] };
+    expect(events).toEqual([
+        ['input', 'test1', data],
+        ['change', 'test1', data],
+        ['input', 'test2', data],
+        ['change', 'test2', data]
+    ]);
+});
+
+test('sets values through native setters when dispatching events', () => {
+    document.body.innerHTML = Forms.RadioForm;
+    let form = document.forms[0];
+    let radio = form.querySelector('[value=b]');
+    // imitate frameworks like React tracking values with setters defined on elements
+    let tracked = jest.fn();
+    Object.defineProperty(radio, 'checked', {
+        get: () => false,
+        set: tracked,
+        configurable: true
+    });
+    FormPersistence.deserialize(form, { test: ['b'] });
+    expect(tracked).toHaveBeenCalledTimes(1);
+    FormPersistence.deserialize(form, { test: ['b'] }, { dispatchEvents: true });
+    expect(tracked).toHaveBeenCalledTimes(1);
+    delete radio.checked;
+    expect(radio.checked).toBe(true);
+});
+
+test('clicks checkboxes and radio buttons changed when dispatching events', () => {
+    document.body.innerHTML = Forms.CheckboxArrayForm + Forms.RadioForm;
+    let checkbox = document.forms[0].elements[1];
+    let radio = document.forms[1].querySelector('[value=b]');
+    // imitate React tracking checked states with setters defined on elements and detecting changes upon clicks
+    let changes = [];
+    for (let element of [checkbox, radio]) {
+        let descriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked');
+        let tracked = element.checked;
+        Object.defineProperty(element, 'checked', {
+            get: () => descriptor.get.call(element),
+            set: value => {
+                tracked = value;
+                descriptor.set.call(element, value);
+            },
+            configurable: true
+        });
+        element.addEventListener('click', () => {
+            if (element.checked !== tracked) {
+                tracked = element.checked;
+                changes.push([element.name, element.value, element.checked]);
+            }
+        });
+    }
+    let events = [];
+    document.forms[0].addEventListener('change', event => events.push(event.target));
+    FormPersistence.deserialize(document.forms[0], { test: [false, true] }, { dispatchEvents: true });
+    FormPersistence.deserialize(document.forms[1], { test: ['b'] }, { dispatchEvents: true });
+    expect(checkbox.checked).toBe(true);
+    expect(radio.checked).toBe(true);
+    expect(changes).toEqual([['test', 'on', true], ['test', 'b', true]]);
+    expect(events).toEqual([document.forms[0].elements[0], checkbox]);
+    FormPersistence.deserialize(document.forms[0], { test: [false, true] }, { dispatchEvents: true });
+    expect(checkbox.checked).toBe(true);
+    expect(changes).toHaveLength(2);
+    checkbox.addEventListener('click', event => event.preventDefault());
+    FormPersistence.deserialize(document.forms[0], { test: [false, false] }, { dispatchEvents: true });
+    expect(checkbox.checked).toBe(false);
+});
+
+describe('load strategies', () => {
+    const data = {
+        email: ['draft@example.com'],
+        name: ['Draft'],
+        subscribe: [false],
+        plan: ['paid'],
+        country: ['ca'],
+        tags: ['b']
+    };
+
+    function deserializeChanged(options) {
+        document.body.innerHTML = Forms.PrefilledForm;
+        let form = document.forms[0];
+        // the user changes the name and plan before the data is loaded
+        form.elements['name'].value = 'Typed';
+        form.querySelector('[value=paid]').checked = true;
+        return { form, restored: FormPersistence.deserialize(form, data, options) };
+    }
+
+    test('overwrites all fields by default', () => {
+        let { form, restored } = deserializeChanged();
+        expect(restored).toEqual(Object.keys(data));
+        expect(FormPersistence.serialize(form)).toEqual(data);
+    });
+
+    test('deserializes only into empty fields', () => {
+        let onSkip = jest.fn();
+        let { form, restored } = deserializeChanged({ loadStrategy: 'onlyEmpty', onSkip: onSkip });
+        expect(restored).toEqual(['country']);
+        expect(form.elements['email'].value).toBe('server@example.com');
+        expect(form.elements['country'].value).toBe('ca');
+        expect(onSkip).toHaveBeenCalledWith(['email', 'name', 'subscribe', 'plan', 'tags'], 'loadStrategy');
+    });
+
+    test('deserializes only into fields at their default values', () => {
+        let onSkip = jest.fn();
+        let { form, restored } = deserializeChanged({ loadStrategy: 'onlyDefault', onSkip: onSkip });
+        expect(restored).toEqual(['email', 'subscribe', 'country', 'tags']);
+        expect(FormPersistence.serialize(form)).toEqual(Object.assign({}, data, { name: ['Typed'] }));
+        expect(onSkip).toHaveBeenCalledWith(['name', 'plan'], 'loadStrategy');
+    });
+
+    test('deserializes with a load strategy function', () => {
+        let strategy = jest.fn(name => name !== 'email');
+        let { form, restored } = deserializeChanged({ loadStrategy: strategy });
+        expect(restored).toEqual(['name', 'subscribe', 'plan', 'country', 'tags']);
+        expect(form.elements['email'].value).toBe('server@example.com');
+        expect(strategy).toHaveBeenCalledWith('plan', ['paid'], [...form.querySelectorAll('[name=plan]')]);
+    });
+
+    test('throws unknown load strategy error', () => {
+        document.body.innerHTML = Forms.PrefilledForm;
+        expect(() => FormPersistence.deserialize(document.forms[0], data, { loadStrategy: 'unknown' })).toThrow();
+    });
+});
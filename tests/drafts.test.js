@@ -0,0 +1,89 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = Forms.ComplexForm;
+});
+
+test('saves, lists, loads, and deletes drafts', () => {
+    let form = document.forms[0];
+    let options = { uuid: 'test-drafts' };
+    expect(FormPersistence.listDrafts(form, options)).toEqual([]);
+    form.elements['test1'].value = 'first';
+    FormPersistence.saveDraft(form, 'a', Object.assign({ label: 'First' }, options));
+    form.elements['test1'].value = 'second';
+    FormPersistence.saveDraft(form, 'b', options);
+    expect(localStorage.getItem('form#test-drafts')).toBeNull();
+    let saved = JSON.parse(localStorage.getItem('form#test-drafts#draft#a'));
+    expect(saved.data).toEqual({ test1: ['first'], test2: [''] });
+    let drafts = FormPersistence.listDrafts(form, options);
+    expect(drafts).toEqual([
+        { name: 'a', label: 'First', created: expect.any(Number), updated: expect.any(Number) },
+        { name: 'b', label: null, created: expect.any(Number), updated: expect.any(Number) }
+    ]);
+    FormPersistence.loadDraft(form, 'a', options);
+    expect(form.elements['test1'].value).toBe('first');
+    FormPersistence.deleteDraft(form, 'a', options);
+    expect(localStorage.getItem('form#test-drafts#draft#a')).toBeNull();
+    expect(FormPersistence.listDrafts(form, options).map(draft => draft.name)).toEqual(['b']);
+    FormPersistence.deleteDraft(form, 'b', options);
+    expect(localStorage.getItem('form#test-drafts#drafts')).toBeNull();
+});
+
+test('updates existing drafts', () => {
+    let form = document.forms[0];
+    form.id = 'test-drafts';
+    FormPersistence.saveDraft(form, 'a', { label: 'First' });
+    let created = FormPersistence.listDrafts(form)[0].created;
+    let now = jest.spyOn(Date, 'now').mockReturnValue(created + 1000);
+    form.elements['test1'].value = 'updated';
+    FormPersistence.saveDraft(form, 'a');
+    now.mockRestore();
+    expect(FormPersistence.listDrafts(form)).toEqual([
+        { name: 'a', label: 'First', created: created, updated: created + 1000 }
+    ]);
+    form.elements['test1'].value = '';
+    FormPersistence.loadDraft(form, 'a');
+    expect(form.elements['test1'].value).toBe('updated');
+});
+
+test('does not list drafts whose saving was canceled', () => {
+    let form = document.forms[0];
+    let afterSave = jest.fn();
+    FormPersistence.saveDraft(form, 'a', { uuid: 'test-drafts', beforeSave: () => false, afterSave: afterSave });
+    FormPersistence.saveDraft(form, 'b', { uuid: 'test-drafts', afterSave: afterSave });
+    expect(FormPersistence.listDrafts(form, { uuid: 'test-drafts' }).map(draft => draft.name)).toEqual(['b']);
+    expect(afterSave).toHaveBeenCalledTimes(1);
+});
+
+test('does not list purged drafts', () => {
+    let form = document.forms[0];
+    FormPersistence.saveDraft(form, 'a', { uuid: 'test-drafts', maxAge: -1 });
+    FormPersistence.saveDraft(form, 'b', { uuid: 'test-drafts' });
+    expect(FormPersistence.purgeExpired()).toEqual(['form#test-drafts#draft#a']);
+    expect(FormPersistence.listDrafts(form, { uuid: 'test-drafts' }).map(draft => draft.name)).toEqual(['b']);
+});
+
+test('saves drafts to asynchronous storage', async () => {
+    let form = document.forms[0];
+    let memory = FormPersistence.createMemoryStorage();
+    let storage = {
+        getItem: key => Promise.resolve(memory.getItem(key)),
+        setItem: (key, value) => Promise.resolve(memory.setItem(key, value)),
+        removeItem: key => Promise.resolve(memory.removeItem(key))
+    };
+    let options = { uuid: 'test-drafts', storage: storage };
+    form.elements['test1'].value = 'async';
+    await FormPersistence.saveDraft(form, 'a', options);
+    expect(await FormPersistence.listDrafts(form, options)).toHaveLength(1);
+    form.elements['test1'].value = '';
+    await FormPersistence.loadDraft(form, 'a', options);
+    expect(form.elements['test1'].value).toBe('async');
+    await FormPersistence.deleteDraft(form, 'a', options);
+    expect(await FormPersistence.listDrafts(form, options)).toEqual([]);
+});
+
+test('throws draft name error', () => {
+    expect(() => FormPersistence.saveDraft(document.forms[0], '', { uuid: 'test-drafts' })).toThrow();
+});
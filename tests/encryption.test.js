@@ -0,0 +1,103 @@
+const util = require('util');
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+// jsdom does not implement WebCrypto or text encoding, so use the Node implementations.
+beforeAll(() => {
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+    window.TextEncoder = util.TextEncoder;
+    window.TextDecoder = util.TextDecoder;
+});
+
+test('encrypts saved data with a password', async () => {
+    let encryption = { password: 'secret', iterations: 1000 };
+    await saveForm({ uuid: 'test', encryption: encryption });
+    expect(localStorage.getItem('form#test')).not.toContain('test-value');
+    expect(Object.keys(getPayload())).toEqual(['iv', 'salt', 'ciphertext']);
+    let form = await loadForm({ uuid: 'test', encryption: { password: 'secret', iterations: 1000 } });
+    expect(form.elements['test'].value).toBe('test-value');
+});
+
+test('reuses derived key for the same encryption options', async () => {
+    let encryption = { password: 'secret', iterations: 1000 };
+    await saveForm({ uuid: 'test', encryption: encryption });
+    let salt = getPayload().salt;
+    await saveForm({ uuid: 'test', encryption: encryption });
+    expect(getPayload().salt).toBe(salt);
+    let form = await loadForm({ uuid: 'test', encryption: encryption });
+    expect(form.elements['test'].value).toBe('test-value');
+});
+
+test('encrypts saved data with a key', async () => {
+    let key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await saveForm({ uuid: 'test', encryption: { key: key } });
+    expect(getPayload().salt).toBeNull();
+    let form = await loadForm({ uuid: 'test', encryption: { key: key } });
+    expect(form.elements['test'].value).toBe('test-value');
+});
+
+test('clears saved data that cannot be decrypted', async () => {
+    await saveForm({ uuid: 'test', encryption: { password: 'secret', iterations: 1000 } });
+    let form = await loadForm({ uuid: 'test', encryption: { password: 'wrong', iterations: 1000 } });
+    expect(form.elements['test'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('clears unencrypted saved data', async () => {
+    await saveForm({ uuid: 'test' });
+    let form = await loadForm({ uuid: 'test', encryption: { password: 'secret', iterations: 1000 } });
+    expect(form.elements['test'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('encrypts saved merge base', async () => {
+    let encryption = { password: 'secret', iterations: 1000 };
+    await saveForm({ uuid: 'test', encryption: encryption, base: { test: ['base-value'] } });
+    let entry = JSON.parse(localStorage.getItem('form#test'));
+    expect(entry.base).not.toContain('base-value');
+    expect(Object.keys(JSON.parse(entry.base))).toEqual(['iv', 'salt', 'ciphertext']);
+    let form = await loadForm({ uuid: 'test', encryption: encryption, mergeStrategy: 'local' });
+    expect(form.elements['test'].value).toBe('test-value');
+});
+
+test('encrypts persistent history', async () => {
+    let encryption = { password: 'secret', iterations: 1000 };
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    let options = { uuid: 'test', persistent: true, encryption: encryption };
+    let history = FormPersistence.createHistory(form, options);
+    await waitFor(() => localStorage.getItem('form#test#history') !== null);
+    expect(localStorage.getItem('form#test#history')).not.toContain('test-value');
+    history.destroy();
+    form.elements['test'].value = 'changed';
+    history = FormPersistence.createHistory(form, options);
+    await waitFor(() => history.getHistory().snapshots.length === 2);
+    expect(history.undo()).toBe(true);
+    expect(form.elements['test'].value).toBe('test-value');
+    history.destroy(true);
+});
+
+function saveForm(options) {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    return FormPersistence.saveAsync(form, options);
+}
+
+function loadForm(options) {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    return FormPersistence.loadAsync(form, options).then(() => form);
+}
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        let check = () => condition() ? resolve() : setTimeout(check, 10);
+        check();
+    });
+}
+
+function getPayload() {
+    return JSON.parse(JSON.parse(localStorage.getItem('form#test')).data);
+}
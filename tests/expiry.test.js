@@ -0,0 +1,103 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('stores save time and expiry time', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    saveForm({ uuid: 'test', maxAge: HOUR });
+    let entry = JSON.parse(localStorage.getItem('form#test'));
+    expect(entry).toEqual({ version: 0, savedAt: 1000, expiresAt: 1000 + HOUR, data: { test: ['test-value'] } });
+});
+
+test('loads unexpired data', () => {
+    saveForm({ uuid: 'test', maxAge: HOUR });
+    expect(loadForm({ uuid: 'test' }).elements['test'].value).toBe('test-value');
+});
+
+test('discards data older than stored max age', () => {
+    saveForm({ uuid: 'test', maxAge: HOUR });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+    expect(loadForm({ uuid: 'test' }).elements['test'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('discards data older than loading max age', () => {
+    saveForm({ uuid: 'test' });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+    expect(loadForm({ uuid: 'test', maxAge: HOUR }).elements['test'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('discards data after expiry date', () => {
+    let expiresAt = new Date(Date.now() + HOUR);
+    saveForm({ uuid: 'test', expiresAt: expiresAt, maxAge: 3 * HOUR });
+    expect(JSON.parse(localStorage.getItem('form#test')).expiresAt).toBe(expiresAt.getTime());
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+    expect(loadForm({ uuid: 'test' }).elements['test'].value).toBe('');
+});
+
+test('discards data after loading expiry date', () => {
+    saveForm({ uuid: 'test' });
+    expect(loadForm({ uuid: 'test', expiresAt: Date.now() - 1 }).elements['test'].value).toBe('');
+});
+
+test('loads data saved without save time', () => {
+    localStorage.setItem('form#test', JSON.stringify({ test: ['test-value'] }));
+    expect(loadForm({ uuid: 'test', maxAge: HOUR }).elements['test'].value).toBe('test-value');
+});
+
+test('discards data that is not valid JSON', () => {
+    localStorage.setItem('form#test', '{');
+    expect(loadForm({ uuid: 'test' }).elements['test'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('purges expired data', () => {
+    saveForm({ uuid: 'expired', maxAge: HOUR });
+    saveForm({ uuid: 'old' });
+    saveForm({ uuid: 'fresh', maxAge: 3 * HOUR });
+    localStorage.setItem('form#legacy', JSON.stringify({ test: ['test-value'] }));
+    localStorage.setItem('other', 'value');
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+    expect(FormPersistence.purgeExpired()).toEqual(['form#expired']);
+    expect(FormPersistence.purgeExpired({ maxAge: HOUR }).sort()).toEqual(['form#fresh', 'form#old']);
+    expect(localStorage.getItem('form#legacy')).not.toBeNull();
+    expect(localStorage.getItem('other')).toBe('value');
+});
+
+test('purges expired data from asynchronous storage', async () => {
+    let memory = FormPersistence.createMemoryStorage();
+    let storage = FormPersistence.createFallbackStorage([memory]);
+    saveForm({ uuid: 'expired', maxAge: HOUR, storage: memory });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+    expect(await FormPersistence.purgeExpired({ storage: storage })).toEqual(['form#expired']);
+    expect(memory.getItem('form#expired')).toBeNull();
+});
+
+test('throws error purging storage without keys', () => {
+    let storage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+    expect(() => FormPersistence.purgeExpired({ storage: storage })).toThrow();
+});
+
+function saveForm(options) {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    FormPersistence.save(form, options);
+}
+
+function loadForm(options) {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    FormPersistence.load(form, options);
+    return form;
+}
@@ -0,0 +1,173 @@
+const util = require('util');
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+/**
+ * Imitates the DataTransfer constructor, which jsdom does not implement.
+ */
+class FakeDataTransfer {
+    constructor() {
+        this.files = [];
+        this.items = { add: file => this.files.push(file) };
+    }
+}
+
+beforeEach(() => {
+    window.DataTransfer = FakeDataTransfer;
+});
+
+afterEach(() => {
+    delete window.DataTransfer;
+});
+
+test('persists selected files', async () => {
+    let fileStorage = createObjectStorage();
+    let form = setupFileForm([new File(['file-contents'], 'test.txt', { type: 'text/plain', lastModified: 1000 })]);
+    let options = { uuid: 'test', persistFiles: true, fileStorage: fileStorage };
+    await FormPersistence.saveAsync(form, options);
+    let saved = fileStorage.getItem('form#test#files');
+    expect(saved.test[0][0]).toMatchObject({ name: 'test.txt', type: 'text/plain', lastModified: 1000 });
+    expect(saved.test[0][0].bytes.byteLength).toBe(13);
+    form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, options);
+    let file = form.elements['test'].files[0];
+    expect(file.name).toBe('test.txt');
+    expect(file.type).toBe('text/plain');
+    expect(file.lastModified).toBe(1000);
+    expect(file.size).toBe(13);
+    await FormPersistence.clearStorageAsync(form, options);
+    expect(fileStorage.getItem('form#test#files')).toBeNull();
+});
+
+test('does not persist files exceeding the size limit', async () => {
+    let fileStorage = createObjectStorage();
+    let form = setupFileForm([new File(['file-contents'], 'test.txt')]);
+    let options = { uuid: 'test', persistFiles: true, fileStorage: fileStorage, maxFileSizes: { test: 10 } };
+    await FormPersistence.saveAsync(form, options);
+    expect(fileStorage.getItem('form#test#files')).toEqual({ test: [null] });
+    form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, options);
+    expect(form.elements['test'].files).toHaveLength(0);
+});
+
+test('does not load files without DataTransfer support', async () => {
+    delete window.DataTransfer;
+    let fileStorage = createObjectStorage();
+    fileStorage.setItem('form#test#files', { test: [[{ name: 'test.txt', type: '', lastModified: 0, bytes: [] }]] });
+    let form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, { uuid: 'test', persistFiles: true, fileStorage: fileStorage });
+    expect(form.elements['test'].files).toHaveLength(0);
+});
+
+test('does not persist file inputs opted out by attributes', async () => {
+    let fileStorage = createObjectStorage();
+    let options = { uuid: 'test', persistFiles: true, fileStorage: fileStorage };
+    let form = setupFileForm([new File(['file-contents'], 'test.txt')]);
+    form.elements['test'].setAttribute('data-persist', 'false');
+    await FormPersistence.saveAsync(form, options);
+    expect(fileStorage.getItem('form#test#files')).toEqual({});
+    form.elements['test'].removeAttribute('data-persist');
+    form.elements['test'].setAttribute('data-persist-sensitive', '');
+    await FormPersistence.saveAsync(form, options);
+    expect(fileStorage.getItem('form#test#files')).toEqual({});
+});
+
+test('does not load files saved with discarded data', async () => {
+    let fileStorage = createObjectStorage();
+    let form = setupFileForm([new File(['file-contents'], 'test.txt')]);
+    let options = { uuid: 'test', persistFiles: true, fileStorage: fileStorage };
+    await FormPersistence.saveAsync(form, options);
+    form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, Object.assign({ beforeLoad: () => false }, options));
+    expect(form.elements['test'].files).toHaveLength(0);
+    expect(fileStorage.getItem('form#test#files')).not.toBeNull();
+    await FormPersistence.loadAsync(form, Object.assign({ maxAge: -1 }, options));
+    expect(form.elements['test'].files).toHaveLength(0);
+    expect(localStorage.getItem('form#test')).toBeNull();
+    expect(fileStorage.getItem('form#test#files')).toBeNull();
+});
+
+test('purges files saved with expired data', async () => {
+    let fileStorage = createObjectStorage();
+    let form = setupFileForm([new File(['file-contents'], 'test.txt')]);
+    await FormPersistence.saveAsync(form, { uuid: 'test', persistFiles: true, fileStorage: fileStorage, maxAge: -1 });
+    expect(FormPersistence.purgeExpired()).toEqual(['form#test']);
+    expect(fileStorage.getItem('form#test#files')).not.toBeNull();
+    await FormPersistence.saveAsync(form, { uuid: 'test', persistFiles: true, fileStorage: fileStorage, maxAge: -1 });
+    expect(await FormPersistence.purgeExpired({ persistFiles: true, fileStorage: fileStorage })).toEqual(['form#test']);
+    expect(fileStorage.getItem('form#test#files')).toBeNull();
+});
+
+test('encrypts saved files', async () => {
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+    window.TextEncoder = util.TextEncoder;
+    window.TextDecoder = util.TextDecoder;
+    let fileStorage = createObjectStorage();
+    let encryption = { password: 'secret', iterations: 1000 };
+    let form = setupFileForm([new File(['file-contents'], 'test.txt', { type: 'text/plain' })]);
+    let options = { uuid: 'test', persistFiles: true, fileStorage: fileStorage, encryption: encryption };
+    await FormPersistence.saveAsync(form, options);
+    let saved = fileStorage.getItem('form#test#files');
+    expect(typeof saved).toBe('string');
+    expect(saved).not.toContain('test.txt');
+    form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, options);
+    let file = form.elements['test'].files[0];
+    expect(file.name).toBe('test.txt');
+    expect(file.size).toBe(13);
+    form = setupFileForm([]);
+    let wrong = { password: 'wrong', iterations: 1000 };
+    await FormPersistence.loadAsync(form, Object.assign({}, options, { encryption: wrong }));
+    expect(form.elements['test'].files).toHaveLength(0);
+});
+
+test('saves files only when the selection changes', async () => {
+    let fileStorage = createObjectStorage();
+    let setItem = jest.spyOn(fileStorage, 'setItem');
+    let form = setupFileForm([new File(['file-contents'], 'test.txt', { lastModified: 1000 })]);
+    let options = { uuid: 'test-selection', persistFiles: true, fileStorage: fileStorage };
+    await FormPersistence.saveAsync(form, options);
+    await FormPersistence.saveAsync(form, options);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    form.elements['test'].files = [new File(['other'], 'other.txt', { lastModified: 1000 })];
+    await FormPersistence.saveAsync(form, options);
+    expect(setItem).toHaveBeenCalledTimes(2);
+    // loaded selections are not saved again
+    form = setupFileForm([]);
+    await FormPersistence.loadAsync(form, options);
+    await FormPersistence.saveAsync(form, options);
+    expect(setItem).toHaveBeenCalledTimes(2);
+    await FormPersistence.clearStorageAsync(form, options);
+    await FormPersistence.saveAsync(form, options);
+    expect(setItem).toHaveBeenCalledTimes(3);
+});
+
+test('does not persist files by default', async () => {
+    let fileStorage = createObjectStorage();
+    let form = setupFileForm([new File(['file-contents'], 'test.txt')]);
+    await FormPersistence.saveAsync(form, { uuid: 'test', fileStorage: fileStorage });
+    expect(fileStorage.getItem('form#test#files')).toBeNull();
+});
+
+/**
+ * Creates a file form with the given files selected. The files property is made writable because jsdom does not
+ * allow setting it.
+ */
+function setupFileForm(files) {
+    document.body.innerHTML = Forms.FileForm;
+    let form = document.forms[0];
+    Object.defineProperty(form.elements['test'], 'files', { value: files, writable: true });
+    return form;
+}
+
+/**
+ * Creates a storage adapter that stores values without converting them to strings, like IndexedDB.
+ */
+function createObjectStorage() {
+    let items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+}
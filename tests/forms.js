@@ -75,6 +75,99 @@ const CheckboxArrayForm = `
     </form>
 `;
 
+const ContentEditableForm = `
+    <form>
+        <input type='text' name='before' />
+        <div contenteditable='true' name='test'></div>
+        <div contenteditable='false' name='ignore'></div>
+    </form>
+`;
+
+const CustomElementForm = `
+    <form>
+        <x-rating name='test'></x-rating>
+    </form>
+`;
+
+const NestedForm = `
+    <form>
+        <input type='text' name='title' />
+        <input type='text' name='address[city]' />
+        <input type='text' name='address.zip' />
+        <input type='text' name='items[0][qty]' />
+        <input type='text' name='items[1][qty]' />
+        <input type='checkbox' name='tags[]' value='a' />
+        <input type='checkbox' name='tags[]' value='b' />
+    </form>
+`;
+
+const TypedForm = `
+    <form>
+        <input type='number' name='number' />
+        <input type='range' name='range' min='0' max='10' />
+        <input type='date' name='date' />
+        <input type='month' name='month' />
+        <input type='datetime-local' name='datetime' />
+        <input type='time' name='time' />
+        <input type='text' name='text' />
+    </form>
+`;
+
+const RepeaterForm = `
+    <form>
+        <input type='text' name='title' />
+        <div data-fp-repeat='tag'>
+            <input type='text' name='tag' />
+            <template>
+                <span><input type='text' name='tag' /></span>
+            </template>
+        </div>
+    </form>
+`;
+
+const AttributeForm = `
+    <form data-persist-key='test-attributes' data-persist-storage='session'>
+        <input type='text' name='test' />
+        <input type='text' name='opt-out' data-persist='false' />
+        <input type='text' name='sensitive' data-persist-sensitive />
+        <input type='text' name='opt-in' data-persist='true' />
+        <input type='password' name='password' data-persist='true' />
+    </form>
+`;
+
+const SensitiveForm = `
+    <form>
+        <input type='text' name='test' />
+        <input type='text' name='card' autocomplete='billing cc-number' />
+        <input type='text' name='code' autocomplete='one-time-code' />
+        <input type='text' name='cardNumber' />
+        <input type='text' name='payment[cvv]' />
+        <input type='text' name='ssn' />
+        <input type='text' name='shipping' />
+        <input type='text' name='cardNotes' />
+        <input type='text' name='otp' data-persist='true' />
+    </form>
+`;
+
+const PrefilledForm = `
+    <form>
+        <input type='text' name='email' value='server@example.com' />
+        <input type='text' name='name' />
+        <input type='checkbox' name='subscribe' checked />
+        <input type='radio' name='plan' value='free' checked />
+        <input type='radio' name='plan' value='paid' />
+        <select name='country'>
+            <option value=''></option>
+            <option value='us'>US</option>
+            <option value='ca'>CA</option>
+        </select>
+        <select name='tags' multiple>
+            <option value='a' selected>A</option>
+            <option value='b'>B</option>
+        </select>
+    </form>
+`;
+
 module.exports = {
     SimpleForm,
     ExternalForm,
@@ -86,5 +179,13 @@ module.exports = {
     FileForm,
     PasswordForm,
     ComplexForm,
-    CheckboxArrayForm
+    CheckboxArrayForm,
+    ContentEditableForm,
+    CustomElementForm,
+    NestedForm,
+    TypedForm,
+    RepeaterForm,
+    AttributeForm,
+    SensitiveForm,
+    PrefilledForm
 };
\ No newline at end of file
@@ -0,0 +1,158 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+let histories = [];
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+});
+
+afterEach(() => {
+    histories.forEach(history => history.destroy());
+    histories = [];
+});
+
+test('undoes and redoes changes', () => {
+    let { form, history } = setupHistory();
+    let input = form.elements['test1'];
+    expect(history.canUndo()).toBe(false);
+    type(input, 'a');
+    type(input, 'ab');
+    expect(history.getHistory().snapshots).toHaveLength(3);
+    expect(history.undo()).toBe(true);
+    expect(input.value).toBe('a');
+    expect(history.undo()).toBe(true);
+    expect(input.value).toBe('');
+    expect(history.undo()).toBe(false);
+    expect(history.canRedo()).toBe(true);
+    expect(history.redo()).toBe(true);
+    expect(input.value).toBe('a');
+    expect(history.getHistory().index).toBe(1);
+    // changing the form discards the redo snapshots
+    type(input, 'c');
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toBe(false);
+    expect(history.getHistory().snapshots.map(snapshot => snapshot.data.test1[0])).toEqual(['', 'a', 'c']);
+});
+
+test('records pending changes before undoing', () => {
+    let { form, history } = setupHistory();
+    let input = form.elements['test1'];
+    input.value = 'a';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(history.canUndo()).toBe(true);
+    expect(history.canRedo()).toBe(false);
+    history.undo();
+    expect(input.value).toBe('');
+    history.redo();
+    expect(input.value).toBe('a');
+});
+
+test('records snapshots with timestamps up to the maximum depth', () => {
+    let { form, history } = setupHistory({ maxDepth: 2 });
+    let input = form.elements['test1'];
+    let before = Date.now();
+    type(input, 'a');
+    type(input, 'b');
+    let { snapshots, index } = history.getHistory();
+    expect(snapshots.map(snapshot => snapshot.data.test1[0])).toEqual(['a', 'b']);
+    expect(snapshots[1].time).toBeGreaterThanOrEqual(before);
+    expect(index).toBe(1);
+    expect(history.record()).toBe(false);
+    history.clear();
+    expect(history.getHistory().snapshots).toHaveLength(1);
+    expect(history.canUndo()).toBe(false);
+});
+
+test('ignores input in other forms and after destroy', () => {
+    document.body.innerHTML = Forms.ComplexForm + Forms.ComplexForm;
+    let history = FormPersistence.createHistory(document.forms[0], { uuid: 'test-history' });
+    type(document.forms[1].elements['test1'], 'a');
+    expect(history.canUndo()).toBe(false);
+    history.destroy();
+    type(document.forms[0].elements['test1'], 'a');
+    expect(history.getHistory().snapshots).toHaveLength(1);
+});
+
+test('persists history to storage', () => {
+    let { form, history } = setupHistory({ persistent: true });
+    type(form.elements['test1'], 'a');
+    history.undo();
+    let saved = JSON.parse(localStorage.getItem('form#test-history#history')).data;
+    expect(saved.index).toBe(0);
+    expect(saved.snapshots).toHaveLength(2);
+    history.destroy();
+    ({ form, history } = setupHistory({ persistent: true }));
+    expect(history.getHistory()).toEqual(saved);
+    expect(history.redo()).toBe(true);
+    expect(form.elements['test1'].value).toBe('a');
+});
+
+test('removes persistent history from storage', () => {
+    let { form, history } = setupHistory({ persistent: true });
+    type(form.elements['test1'], 'a');
+    history.clear();
+    expect(localStorage.getItem('form#test-history#history')).toBeNull();
+    expect(history.getHistory().snapshots.map(snapshot => snapshot.data.test1[0])).toEqual(['a']);
+    type(form.elements['test1'], 'b');
+    expect(localStorage.getItem('form#test-history#history')).not.toBeNull();
+    history.destroy(true);
+    expect(localStorage.getItem('form#test-history#history')).toBeNull();
+});
+
+test('removes persistent history when clearing the form\'s storage', () => {
+    let { form } = setupHistory({ persistent: true });
+    let persistence = FormPersistence.persist(form, { uuid: 'test-history' });
+    type(form.elements['test1'], 'a');
+    expect(localStorage.getItem('form#test-history#history')).not.toBeNull();
+    form.dispatchEvent(new Event('submit'));
+    expect(localStorage.getItem('form#test-history#history')).toBeNull();
+    persistence.destroy();
+});
+
+test('reports errors of saving and restoring persistent history', async () => {
+    let error = Error('unavailable');
+    let storage = {
+        getItem: () => Promise.reject(error),
+        setItem: () => Promise.reject(error),
+        removeItem: () => Promise.resolve()
+    };
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let onError = jest.fn();
+    let restoreError = nextError(form);
+    let history = FormPersistence.createHistory(form, {
+        uuid: 'test-history', persistent: true, storage: storage, onError: onError
+    });
+    histories.push(history);
+    expect(await restoreError).toBe(error);
+    // recording starts without the saved history
+    let saveError = nextError(form);
+    expect(await saveError).toBe(error);
+    expect(history.getHistory().snapshots).toHaveLength(1);
+    expect(onError).toHaveBeenCalledTimes(2);
+});
+
+function setupHistory(options) {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let history = FormPersistence.createHistory(form, Object.assign({ uuid: 'test-history' }, options));
+    histories.push(history);
+    return { form, history };
+}
+
+function nextError(form) {
+    return new Promise(resolve => {
+        form.addEventListener('formpersistence:error', event => resolve(event.detail.error), { once: true });
+    });
+}
+
+/**
+ * Changes the given input's value and waits for the history to take a snapshot.
+ */
+function type(input, value) {
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    jest.advanceTimersByTime(500);
+}
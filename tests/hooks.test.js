@@ -0,0 +1,123 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = Forms.ComplexForm;
+});
+
+test('transforms data before saving', () => {
+    let form = setupForm();
+    let beforeSave = jest.fn(data => Object.assign({}, data, { test2: ['changed'] }));
+    let afterSave = jest.fn();
+    FormPersistence.save(form, { uuid: 'test', beforeSave: beforeSave, afterSave: afterSave });
+    expect(beforeSave).toHaveBeenCalledWith({ test1: ['value1'], test2: ['value2'] });
+    expect(afterSave).toHaveBeenCalledWith({ test1: ['value1'], test2: ['changed'] });
+    expect(getSavedData()).toEqual({ test1: ['value1'], test2: ['changed'] });
+});
+
+test('cancels saving when before save hook returns false', () => {
+    let form = setupForm();
+    let afterSave = jest.fn();
+    FormPersistence.save(form, { uuid: 'test', beforeSave: () => false, afterSave: afterSave });
+    expect(localStorage.getItem('form#test')).toBeNull();
+    expect(afterSave).not.toHaveBeenCalled();
+});
+
+test('keeps data when before save hook returns nothing', () => {
+    let form = setupForm();
+    FormPersistence.save(form, { uuid: 'test', beforeSave: () => {} });
+    expect(getSavedData()).toEqual({ test1: ['value1'], test2: ['value2'] });
+});
+
+test('dispatches save events', () => {
+    let form = setupForm();
+    let onSave = jest.fn();
+    form.addEventListener('formpersistence:beforesave', event => {
+        event.detail.data = { test1: event.detail.data.test1 };
+    });
+    form.addEventListener('formpersistence:save', onSave);
+    FormPersistence.save(form, { uuid: 'test' });
+    expect(getSavedData()).toEqual({ test1: ['value1'] });
+    expect(onSave.mock.calls[0][0].detail).toEqual({ data: { test1: ['value1'] } });
+});
+
+test('cancels saving when before save event is canceled', () => {
+    let form = setupForm();
+    form.addEventListener('formpersistence:beforesave', event => event.preventDefault());
+    FormPersistence.save(form, { uuid: 'test' });
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('transforms data before loading and reports restored names', () => {
+    FormPersistence.save(setupForm(), { uuid: 'test' });
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let afterLoad = jest.fn();
+    let onRestore = jest.fn();
+    FormPersistence.load(form, {
+        uuid: 'test',
+        beforeLoad: data => ({ test1: data.test1, missing: ['value'] }),
+        afterLoad: afterLoad,
+        onRestore: onRestore
+    });
+    expect(form.elements['test1'].value).toBe('value1');
+    expect(form.elements['test2'].value).toBe('');
+    expect(afterLoad).toHaveBeenCalledWith(['test1']);
+    expect(onRestore).toHaveBeenCalledWith(['test1']);
+});
+
+test('cancels loading when before load hook returns false', () => {
+    FormPersistence.save(setupForm(), { uuid: 'test' });
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let afterLoad = jest.fn();
+    let onRestore = jest.fn();
+    FormPersistence.load(form, { uuid: 'test', beforeLoad: () => false, afterLoad: afterLoad, onRestore: onRestore });
+    expect(form.elements['test1'].value).toBe('');
+    expect(afterLoad).toHaveBeenCalledWith([]);
+    expect(onRestore).not.toHaveBeenCalled();
+});
+
+test('dispatches load events', () => {
+    FormPersistence.save(setupForm(), { uuid: 'test' });
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let onLoad = jest.fn();
+    let onRestore = jest.fn();
+    form.addEventListener('formpersistence:beforeload', event => event.preventDefault());
+    form.addEventListener('formpersistence:load', onLoad);
+    form.addEventListener('formpersistence:restore', onRestore);
+    FormPersistence.load(form, { uuid: 'test' });
+    expect(form.elements['test1'].value).toBe('');
+    expect(onLoad.mock.calls[0][0].detail).toEqual({ restored: [] });
+    expect(onRestore).not.toHaveBeenCalled();
+});
+
+test('reports restored names from value functions', () => {
+    FormPersistence.save(setupForm(), { uuid: 'test' });
+    let afterLoad = jest.fn();
+    FormPersistence.load(document.forms[0], { uuid: 'test', valueFunctions: { test2: () => {} }, afterLoad });
+    expect(afterLoad).toHaveBeenCalledWith(['test2', 'test1']);
+});
+
+test('calls clear hook and dispatches clear event', () => {
+    let form = setupForm();
+    let onClear = jest.fn();
+    let clearListener = jest.fn();
+    form.addEventListener('formpersistence:clear', clearListener);
+    FormPersistence.clearStorage(form, { uuid: 'test', onClear: onClear });
+    expect(onClear).toHaveBeenCalledTimes(1);
+    expect(clearListener).toHaveBeenCalledTimes(1);
+});
+
+function setupForm() {
+    let form = document.forms[0];
+    form.elements['test1'].value = 'value1';
+    form.elements['test2'].value = 'value2';
+    return form;
+}
+
+function getSavedData() {
+    return JSON.parse(localStorage.getItem('form#test')).data;
+}
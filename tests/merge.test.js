@@ -0,0 +1,98 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = Forms.ComplexForm;
+});
+
+test('diffs added, removed, and changed entries', () => {
+    let a = { same: ['a'], changed: ['a'], removed: ['a'] };
+    let b = { same: ['a'], changed: ['a', 'b'], added: ['b'] };
+    expect(FormPersistence.diff(a, b)).toEqual({
+        added: { added: { before: null, after: ['b'] } },
+        removed: { removed: { before: ['a'], after: null } },
+        changed: { changed: { before: ['a'], after: ['a', 'b'] } }
+    });
+    expect(FormPersistence.diff(a, a)).toEqual({ added: {}, removed: {}, changed: {} });
+});
+
+test('merges entries changed in either version', () => {
+    let base = { both: ['base'], local: ['base'], remote: ['base'], removed: ['base'] };
+    let local = { both: ['local'], local: ['local'], remote: ['base'], removed: ['base'], added: ['local'] };
+    let remote = { both: ['remote'], local: ['base'], remote: ['remote'] };
+    expect(FormPersistence.merge(base, local, remote)).toEqual({
+        both: ['local'], local: ['local'], remote: ['remote'], added: ['local']
+    });
+    expect(FormPersistence.merge(base, local, remote, 'remote').both).toEqual(['remote']);
+});
+
+test('merges conflicting entries with a strategy function', () => {
+    let strategy = jest.fn((name, local, remote) => name === 'omit' ? undefined : local.concat(remote));
+    let merged = FormPersistence.merge(
+        { test: ['base'] },
+        { test: ['local'], same: ['same'], omit: ['local'] },
+        { test: ['remote'], same: ['same'], omit: ['remote'] },
+        strategy
+    );
+    expect(merged).toEqual({ test: ['local', 'remote'], same: ['same'] });
+    expect(strategy).toHaveBeenCalledTimes(2);
+    expect(strategy).toHaveBeenCalledWith('test', ['local'], ['remote'], ['base']);
+});
+
+test('treats differing entries as conflicts without a base', () => {
+    let local = { test: ['local'], localOnly: ['local'] };
+    let remote = { test: ['remote'], remoteOnly: ['remote'] };
+    expect(FormPersistence.merge(null, local, remote, 'remote')).toEqual({
+        test: ['remote'], localOnly: ['local'], remoteOnly: ['remote']
+    });
+});
+
+test('throws unknown merge strategy error', () => {
+    expect(() => FormPersistence.merge({}, {}, {}, 'unknown')).toThrow();
+});
+
+test('loads saved data merged with changes to the form\'s base data', () => {
+    let form = document.forms[0];
+    form.elements['test2'].value = 'server';
+    form.elements['test1'].value = 'draft';
+    FormPersistence.save(form, { uuid: 'test', base: { test1: [''], test2: ['server'] } });
+    expect(JSON.parse(localStorage.getItem('form#test')).base).toEqual({ test1: [''], test2: ['server'] });
+    // the server changes the second field before the draft is loaded
+    document.body.innerHTML = Forms.ComplexForm;
+    form = document.forms[0];
+    form.elements['test2'].value = 'updated';
+    let onRestore = jest.fn();
+    FormPersistence.load(form, { uuid: 'test', mergeStrategy: 'local', onRestore: onRestore });
+    expect(form.elements['test1'].value).toBe('draft');
+    expect(form.elements['test2'].value).toBe('updated');
+    expect(onRestore).toHaveBeenCalledWith(['test1']);
+});
+
+test('resolves fields changed both in the form and the saved data', () => {
+    let form = document.forms[0];
+    form.elements['test1'].value = 'draft';
+    FormPersistence.save(form, { uuid: 'test', base: { test1: [''], test2: [''] } });
+    form.elements['test1'].value = 'server';
+    FormPersistence.load(form, { uuid: 'test', mergeStrategy: 'remote' });
+    expect(form.elements['test1'].value).toBe('server');
+    FormPersistence.load(form, { uuid: 'test', mergeStrategy: 'local' });
+    expect(form.elements['test1'].value).toBe('draft');
+});
+
+test('saves the initial form data as the merge base when persisting', () => {
+    let form = document.forms[0];
+    form.elements['test2'].value = 'server';
+    let persistence = FormPersistence.persist(form, { uuid: 'test', mergeStrategy: 'local' });
+    form.elements['test1'].value = 'draft';
+    persistence.save();
+    expect(JSON.parse(localStorage.getItem('form#test')).base).toEqual({ test1: [''], test2: ['server'] });
+    persistence.destroy();
+    document.body.innerHTML = Forms.ComplexForm;
+    form = document.forms[0];
+    form.elements['test2'].value = 'updated';
+    persistence = FormPersistence.persist(form, { uuid: 'test', mergeStrategy: 'local' });
+    expect(form.elements['test1'].value).toBe('draft');
+    expect(form.elements['test2'].value).toBe('updated');
+    persistence.destroy(true);
+});
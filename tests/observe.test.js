@@ -0,0 +1,187 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+let observers = [];
+
+/**
+ * Imitates MutationObserver, which jsdom does not implement. Observers are notified via `mutate`.
+ */
+class FakeMutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+    }
+    observe(target) {
+        this.target = target;
+        observers.push(this);
+    }
+    disconnect() {
+        observers = observers.filter(observer => observer !== this);
+    }
+}
+
+beforeEach(() => {
+    window.MutationObserver = FakeMutationObserver;
+    localStorage.clear();
+});
+
+afterEach(() => {
+    observers.forEach(observer => observer.disconnect());
+    delete window.MutationObserver;
+});
+
+test('applies loaded data to elements added after loading', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    saveData({ test: ['value'], later: ['later-value'] });
+    let persistence = FormPersistence.persist(form, { uuid: 'test-observe', observe: true });
+    expect(form.elements['test'].value).toBe('value');
+    form.elements['test'].value = 'changed';
+    let input = addInput(form, 'later');
+    expect(input.value).toBe('later-value');
+    expect(form.elements['test'].value).toBe('changed');
+    // each entry is applied once
+    input.value = 'changed';
+    addInput(form, 'other');
+    expect(input.value).toBe('changed');
+    persistence.destroy(true);
+    expect(observers).toHaveLength(0);
+});
+
+test('applies data replaced by beforeload listeners to added elements', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    saveData({ later: ['later-value'] });
+    form.addEventListener('formpersistence:beforeload', event => {
+        event.detail.data = { later: ['replaced'] };
+    });
+    let persistence = FormPersistence.persist(form, { uuid: 'test-observe', observe: true });
+    expect(addInput(form, 'later').value).toBe('replaced');
+    persistence.destroy(true);
+});
+
+test('does not apply excluded data to added elements', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    saveData({ later: ['later-value'] });
+    let persistence = FormPersistence.persist(form, { uuid: 'test-observe', exclude: ['later'], observe: true });
+    expect(addInput(form, 'later').value).toBe('');
+    persistence.destroy(true);
+    expect(addInput(form, 'later', document.body).value).toBe('');
+});
+
+test('auto persists forms marked with data-persist', () => {
+    saveData({ test: ['value'] }, 'form#auto-persist');
+    document.body.innerHTML = `<div id='root'></div><form data-persist><input type='text' name='test' /></form>`;
+    let root = document.getElementById('root');
+    let handle = FormPersistence.autoPersist(root, { autosave: true });
+    expect(document.forms[0].elements['test'].value).toBe('');
+    mutate(root, () => {
+        root.innerHTML = `
+            <form data-persist data-persist-uuid='auto-persist' data-persist-autosave-delay='100'
+                    data-persist-storage='session'>
+                <input type='text' name='test' />
+            </form>
+        `;
+    });
+    let form = root.querySelector('form');
+    expect(form.elements['test'].value).toBe('');
+    sessionStorage.setItem('form#auto-persist', localStorage.getItem('form#auto-persist'));
+    mutate(root, () => {
+        root.innerHTML = `<div><form data-persist data-persist-uuid='auto-persist' data-persist-storage='session'>
+            <input type='text' name='test' /></form></div>`;
+    });
+    form = root.querySelector('form');
+    expect(form.elements['test'].value).toBe('value');
+    let controller = handle.getController(form);
+    expect(controller).toBeDefined();
+    controller.destroy = jest.fn();
+    handle.disconnect();
+    expect(controller.destroy).toHaveBeenCalled();
+    expect(observers).toHaveLength(0);
+    sessionStorage.clear();
+});
+
+test('auto persists forms with options overriding data attributes', () => {
+    document.body.innerHTML = `<form data-persist data-persist-key='attribute' data-persist-storage='session'>
+        <input type='text' name='test' /></form>`;
+    let handle = FormPersistence.autoPersist(document, { uuid: 'option' });
+    handle.getController(document.forms[0]).save();
+    expect(sessionStorage.getItem('form#option')).not.toBeNull();
+    expect(sessionStorage.getItem('form#attribute')).toBeNull();
+    handle.disconnect();
+    sessionStorage.clear();
+});
+
+test('skips and reports forms that cannot be auto persisted', () => {
+    document.body.innerHTML = `<div id='root'><form data-persist><input type='text' name='test' /></form>
+        <form id='auto-persist' data-persist><input type='text' name='test' /></form></div>`;
+    let root = document.getElementById('root');
+    let onError = jest.fn();
+    let listener = jest.fn();
+    document.forms[0].addEventListener('formpersistence:error', listener);
+    let handle = FormPersistence.autoPersist(root, { onError: onError });
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(handle.getController(document.forms[0])).toBeUndefined();
+    expect(handle.getController(document.forms[1])).toBeDefined();
+    let form = document.createElement('form');
+    form.setAttribute('data-persist', '');
+    let added = document.createElement('form');
+    added.id = 'auto-persist-added';
+    added.setAttribute('data-persist', '');
+    mutate(root, () => root.append(form, added));
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(handle.getController(form)).toBeUndefined();
+    expect(handle.getController(added)).toBeDefined();
+    handle.disconnect();
+});
+
+test('stops persisting forms removed from the page', () => {
+    document.body.innerHTML = `<form id='auto-persist' data-persist><input type='text' name='test' /></form>`;
+    let form = document.forms[0];
+    let handle = FormPersistence.autoPersist();
+    let controller = handle.getController(form);
+    controller.destroy = jest.fn();
+    mutate(document.body, () => document.body.appendChild(document.createElement('div')));
+    expect(controller.destroy).not.toHaveBeenCalled();
+    mutate(document.body, () => form.remove());
+    expect(controller.destroy).toHaveBeenCalled();
+    expect(handle.getController(form)).toBeUndefined();
+    handle.disconnect();
+});
+
+test('saves changed forms removed from the page', () => {
+    document.body.innerHTML = `<form id='auto-persist' data-persist><input type='text' name='test' /></form>`;
+    let form = document.forms[0];
+    let handle = FormPersistence.autoPersist();
+    form.elements['test'].value = 'typed';
+    mutate(document.body, () => form.remove());
+    expect(JSON.parse(localStorage.getItem('form#auto-persist')).data).toEqual({ test: ['typed'] });
+    handle.disconnect();
+});
+
+function saveData(data, key='form#test-observe') {
+    localStorage.setItem(key, JSON.stringify({ version: 0, savedAt: Date.now(), expiresAt: null, data: data }));
+}
+
+function addInput(form, name, parent=form) {
+    let input = document.createElement('input');
+    input.name = name;
+    mutate(parent, () => parent.appendChild(input));
+    return input;
+}
+
+/**
+ * Runs the given DOM change and notifies the observers watching the given target of added and removed nodes.
+ */
+function mutate(target, change) {
+    let before = [...target.childNodes];
+    change();
+    let after = [...target.childNodes];
+    let record = {
+        addedNodes: after.filter(node => !before.includes(node)),
+        removedNodes: before.filter(node => !after.includes(node))
+    };
+    observers.filter(observer => observer.target === target || observer.target.contains(target))
+        .forEach(observer => observer.callback([record]));
+}
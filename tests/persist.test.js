@@ -58,6 +58,358 @@ test('throws id error', () => {
     expect(() => FormPersistence.persist(document.forms[0])).toThrow();
 });
 
+test('returns controller that saves, loads, and clears', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test' });
+    expect(persistence.isDirty()).toBe(false);
+    form.elements['test'].value = 'test-value';
+    expect(persistence.isDirty()).toBe(true);
+    persistence.save();
+    expect(persistence.isDirty()).toBe(false);
+    expect(JSON.parse(localStorage.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+    form.elements['test'].value = '';
+    persistence.load();
+    expect(form.elements['test'].value).toBe('test-value');
+    persistence.clear();
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('destroy removes event listeners', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-destroy' });
+    persistence.destroy();
+    form.elements['test'].value = 'test-value';
+    window.dispatchEvent(new Event('beforeunload'));
+    window.dispatchEvent(new Event('unload'));
+    expect(localStorage.getItem('form#test-destroy')).toBeNull();
+});
+
+test('destroy optionally clears storage', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-destroy', saveOnSubmit: true });
+    form.elements['test'].value = 'test-value';
+    persistence.save();
+    persistence.destroy(true);
+    expect(localStorage.getItem('form#test-destroy')).toBeNull();
+});
+
+test('autosaves after input with debounce', () => {
+    jest.useFakeTimers();
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-autosave', autosave: true });
+    let input = form.elements['test'];
+    input.value = 'test-value';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(localStorage.getItem('form#test-autosave')).toBeNull();
+    jest.advanceTimersByTime(500);
+    expect(JSON.parse(localStorage.getItem('form#test-autosave')).data).toEqual({ test: ['test-value'] });
+    persistence.destroy(true);
+});
+
+test('autosaves after change with throttle', () => {
+    jest.useFakeTimers();
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, {
+        uuid: 'test-throttle', autosave: true, autosaveMode: 'throttle', autosaveDelay: 1000
+    });
+    let input = form.elements['test'];
+    input.value = 'a';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(JSON.parse(localStorage.getItem('form#test-throttle')).data).toEqual({ test: ['a'] });
+    input.value = 'b';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(JSON.parse(localStorage.getItem('form#test-throttle')).data).toEqual({ test: ['a'] });
+    jest.runOnlyPendingTimers();
+    expect(JSON.parse(localStorage.getItem('form#test-throttle')).data).toEqual({ test: ['b'] });
+    persistence.destroy(true);
+});
+
+test('does not autosave for other forms', () => {
+    jest.useFakeTimers();
+    document.body.innerHTML = Forms.SimpleForm + Forms.SimpleForm;
+    let persistence = FormPersistence.persist(document.forms[0], { uuid: 'test-other', autosave: true });
+    document.forms[1].elements['test'].dispatchEvent(new Event('input', { bubbles: true }));
+    jest.runAllTimers();
+    expect(localStorage.getItem('form#test-other')).toBeNull();
+    persistence.destroy();
+});
+
+test('saves when page is hidden', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-hidden' });
+    form.elements['test'].value = 'test-value';
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(localStorage.getItem('form#test-hidden')).toBeNull();
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    delete document.visibilityState;
+    expect(JSON.parse(localStorage.getItem('form#test-hidden')).data).toEqual({ test: ['test-value'] });
+    persistence.destroy(true);
+});
+
+test('reports errors of saving upon unloading', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let error = Error('quota exceeded');
+    let storage = {
+        getItem: () => null,
+        setItem: () => {
+            throw error;
+        },
+        removeItem: () => {}
+    };
+    let onError = jest.fn();
+    let listener = jest.fn();
+    form.addEventListener('formpersistence:error', listener);
+    let persistence = FormPersistence.persist(form, { uuid: 'test-error', storage: storage, onError: onError });
+    form.elements['test'].value = 'test-value';
+    expect(() => window.dispatchEvent(new Event('beforeunload'))).not.toThrow();
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(listener.mock.calls[0][0].detail.error).toBe(error);
+    expect(() => persistence.save()).toThrow(error);
+    persistence.destroy();
+});
+
+test('reports errors of asynchronous loading and autosaving', async () => {
+    jest.useFakeTimers();
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let error = Error('unavailable');
+    let storage = {
+        getItem: () => Promise.reject(error),
+        setItem: () => Promise.reject(error),
+        removeItem: () => Promise.resolve()
+    };
+    let onError = jest.fn();
+    let loadError = nextError(form);
+    let persistence = FormPersistence.persist(form, {
+        uuid: 'test-error', storage: storage, autosave: true, onError: onError
+    });
+    expect(await loadError).toBe(error);
+    let input = form.elements['test'];
+    input.value = 'test-value';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    let saveError = nextError(form);
+    jest.advanceTimersByTime(500);
+    expect(await saveError).toBe(error);
+    expect(onError).toHaveBeenCalledTimes(2);
+    await expect(persistence.save()).rejects.toBe(error);
+    persistence.destroy();
+});
+
+test('prompts to restore saved data', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    FormPersistence.save(form, { uuid: 'test-prompt' });
+    form.elements['test'].value = 'server-value';
+    let onPrompt = jest.fn();
+    let persistence = FormPersistence.persist(form, { uuid: 'test-prompt', restore: 'prompt', onPrompt: onPrompt });
+    expect(form.elements['test'].value).toBe('server-value');
+    expect(onPrompt).toHaveBeenCalledWith(expect.objectContaining({ data: { test: ['test-value'] } }));
+    expect(persistence.hasSavedData()).toBe(true);
+    expect(persistence.getSavedData().data).toEqual({ test: ['test-value'] });
+    // unchanged form data must not overwrite the saved data before the user decides
+    window.dispatchEvent(new Event('pagehide'));
+    expect(persistence.getSavedData().data).toEqual({ test: ['test-value'] });
+    persistence.restore();
+    expect(form.elements['test'].value).toBe('test-value');
+    persistence.destroy(true);
+});
+
+test('discards saved data in manual restore mode', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    FormPersistence.save(form, { uuid: 'test-manual' });
+    form.elements['test'].value = '';
+    let onPrompt = jest.fn();
+    let persistence = FormPersistence.persist(form, { uuid: 'test-manual', restore: 'manual', onPrompt: onPrompt });
+    expect(form.elements['test'].value).toBe('');
+    expect(onPrompt).not.toHaveBeenCalled();
+    persistence.discard();
+    expect(persistence.hasSavedData()).toBe(false);
+    expect(persistence.getSavedData()).toBeNull();
+    window.dispatchEvent(new Event('pagehide'));
+    expect(persistence.getSavedData().data).toEqual({ test: [''] });
+    persistence.destroy(true);
+});
+
+test('saves changed form data in prompt restore mode', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    FormPersistence.save(form, { uuid: 'test-changed' });
+    let persistence = FormPersistence.persist(form, { uuid: 'test-changed', restore: 'prompt' });
+    form.elements['test'].value = 'new-value';
+    window.dispatchEvent(new Event('pagehide'));
+    expect(persistence.getSavedData().data).toEqual({ test: ['new-value'] });
+    persistence.destroy(true);
+});
+
+test('does not prompt without saved data', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let onPrompt = jest.fn();
+    let persistence = FormPersistence.persist(form, { uuid: 'test-empty', restore: 'prompt', onPrompt: onPrompt });
+    expect(onPrompt).not.toHaveBeenCalled();
+    persistence.destroy(true);
+});
+
+test('reads options from form attributes', () => {
+    document.body.innerHTML = Forms.AttributeForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form);
+    form.elements['test'].value = 'test-value';
+    persistence.save();
+    let saved = JSON.parse(sessionStorage.getItem('form#test-attributes'));
+    expect(saved.data).toEqual({ test: ['test-value'], 'opt-in': [''] });
+    persistence.destroy(true);
+    persistence = FormPersistence.persist(form, { uuid: 'test-options', storage: 'memory' });
+    persistence.save();
+    expect(sessionStorage.getItem('form#test-options')).toBeNull();
+    expect(FormPersistence.storages.memory.getItem('form#test-options')).not.toBeNull();
+    persistence.destroy(true);
+});
+
+test('reads string keys and name lists from form attributes', () => {
+    document.body.innerHTML = `
+        <form data-persist-key='007' data-persist-exclude='notes, other'>
+            <input type='text' name='note' />
+            <input type='text' name='notes' />
+        </form>
+    `;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form);
+    persistence.save();
+    expect(JSON.parse(localStorage.getItem('form#007')).data).toEqual({ note: [''] });
+    persistence.destroy(true);
+});
+
+test('reports skipped sensitive elements when saving', () => {
+    document.body.innerHTML = Forms.SensitiveForm;
+    let form = document.forms[0];
+    let onSkip = jest.fn();
+    let persistence = FormPersistence.persist(form, { uuid: 'test-sensitive', onSkip: onSkip });
+    persistence.isDirty();
+    expect(onSkip).not.toHaveBeenCalled();
+    persistence.save();
+    expect(onSkip).toHaveBeenCalledTimes(1);
+    expect(persistence.getSavedData().data).not.toHaveProperty('ssn');
+    persistence.destroy(true);
+});
+
+test('reports changed fields', () => {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-changed-fields' });
+    expect(persistence.isDirty()).toBe(false);
+    expect(persistence.getChangedFields()).toEqual([]);
+    form.elements['test2'].value = 'changed';
+    expect(persistence.isDirty()).toBe(true);
+    expect(persistence.getChangedFields()).toEqual(['test2']);
+    persistence.save();
+    expect(persistence.getChangedFields()).toEqual([]);
+    persistence.destroy(true);
+});
+
+test('reports changed field names with nested format', () => {
+    document.body.innerHTML = Forms.NestedForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-changed-fields', format: 'nested' });
+    form.elements['address[city]'].value = 'changed';
+    expect(persistence.getChangedFields()).toEqual(['address[city]']);
+    persistence.destroy(true);
+});
+
+test('reports changes before asynchronous loading resolves', () => {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    let memory = FormPersistence.createMemoryStorage();
+    let storage = {
+        getItem: key => Promise.resolve(memory.getItem(key)),
+        setItem: (key, value) => Promise.resolve(memory.setItem(key, value)),
+        removeItem: key => Promise.resolve(memory.removeItem(key))
+    };
+    let persistence = FormPersistence.persist(form, { uuid: 'test-changed-fields', storage: storage });
+    expect(persistence.isDirty()).toBe(false);
+    expect(persistence.getChangedFields()).toEqual([]);
+    form.elements['test1'].value = 'changed';
+    expect(persistence.getChangedFields()).toEqual(['test1']);
+    return persistence.destroy(true);
+});
+
+test('warns on leave only with unsaved changes', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test-warn', warnOnLeave: true });
+    let event = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(false);
+    form.elements['test'].value = 'changed';
+    event = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+    // the changes were saved upon unloading
+    event = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(false);
+    persistence.destroy(true);
+});
+
+test('warns on leave with changes that were not saved', async () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    let persistence = FormPersistence.persist(form, {
+        uuid: 'test-warn', warnOnLeave: true, beforeSave: () => false
+    });
+    form.elements['test'].value = 'changed';
+    expect(persistence.save()).toBe(false);
+    expect(localStorage.getItem('form#test-warn')).toBeNull();
+    expect(persistence.isDirty()).toBe(true);
+    let event = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+    persistence.destroy();
+    let storage = {
+        getItem: () => null,
+        setItem: () => Promise.reject(Error('unavailable')),
+        removeItem: () => {}
+    };
+    persistence = FormPersistence.persist(form, { uuid: 'test-warn', warnOnLeave: true, storage: storage });
+    form.elements['test'].value = 'changed again';
+    await expect(persistence.save()).rejects.toThrow('unavailable');
+    expect(persistence.isDirty()).toBe(true);
+    persistence.destroy();
+});
+
+test('loads saved data only into empty fields', () => {
+    document.body.innerHTML = Forms.PrefilledForm;
+    let form = document.forms[0];
+    form.elements['email'].value = 'draft@example.com';
+    form.elements['name'].value = 'Draft';
+    FormPersistence.save(form, { uuid: 'test-load-strategy' });
+    // the server renders a changed email before the draft is loaded
+    document.body.innerHTML = Forms.PrefilledForm.replace('server@', 'changed@');
+    form = document.forms[0];
+    let onSkip = jest.fn();
+    let persistence = FormPersistence.persist(form, {
+        uuid: 'test-load-strategy',
+        loadStrategy: 'onlyEmpty',
+        onSkip: onSkip
+    });
+    expect(form.elements['email'].value).toBe('changed@example.com');
+    expect(form.elements['name'].value).toBe('Draft');
+    expect(onSkip).toHaveBeenCalledWith(['email', 'subscribe', 'plan', 'tags'], 'loadStrategy');
+    persistence.destroy(true);
+});
+
 /**
  * Tests form persistence with support for options for maximum coverage
  */
@@ -71,7 +423,7 @@ function testPersistence(options={}) {
     newForm.dispatchEvent(new Event('submit'));
     let storage = options.useSessionStorage ? window.sessionStorage : window.localStorage;
     if (options.saveOnSubmit) {
-        expect(storage['form#test']).toBe(JSON.stringify({ test: ['test-value'] }));
+        expect(JSON.parse(storage['form#test']).data).toEqual({ test: ['test-value'] });
     } else {
         expect(storage['form#test']).toBeUndefined();
     }
@@ -106,4 +458,10 @@ function setupPersistenceTest(formSrc, options, setup) {
     delete options.uuid;
     FormPersistence.persist(newForm, options);
     return { newForm, window };
-}
\ No newline at end of file
+}
+
+function nextError(form) {
+    return new Promise(resolve => {
+        form.addEventListener('formpersistence:error', event => resolve(event.detail.error), { once: true });
+    });
+}
@@ -0,0 +1,168 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+let server;
+let transport;
+
+beforeEach(() => {
+    server = new Map();
+    transport = jest.fn((method, url, body) => {
+        if (method === 'GET') {
+            return Promise.resolve(server.has(url) ? server.get(url) : null);
+        } else if (method === 'PUT') {
+            server.set(url, body);
+        } else {
+            server.delete(url);
+        }
+        return Promise.resolve(null);
+    });
+    document.body.innerHTML = Forms.SimpleForm;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.fetch;
+});
+
+test('saves, loads, and clears remotely', async () => {
+    let storage = createStorage();
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    await FormPersistence.save(form, { uuid: 'test', storage: storage });
+    expect(JSON.parse(server.get('/drafts/form%23test')).data).toEqual({ test: ['test-value'] });
+    // load on another device without local data
+    let otherStorage = createStorage();
+    form.elements['test'].value = '';
+    await FormPersistence.load(form, { uuid: 'test', storage: otherStorage });
+    expect(form.elements['test'].value).toBe('test-value');
+    expect(await otherStorage.local.getItem('form#test')).toBe(server.get('/drafts/form%23test'));
+    await FormPersistence.clearStorage(form, { uuid: 'test', storage: otherStorage });
+    expect(server.size).toBe(0);
+});
+
+test('queues writes while offline and flushes when online', async () => {
+    let storage = createStorage();
+    let onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await storage.setItem('form#test', entry(1));
+    await storage.setItem('form#test', entry(2));
+    expect(transport).not.toHaveBeenCalled();
+    expect(await storage.getItem('form#test')).toBe(entry(2));
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+    await storage.flush();
+    expect(transport).toHaveBeenCalledTimes(2);
+    expect(server.get('/drafts/form%23test')).toBe(entry(2));
+});
+
+test('retries failed writes', async () => {
+    let storage = createStorage();
+    transport.mockImplementationOnce(() => Promise.reject(Error('network error')));
+    await storage.setItem('form#test', entry(1));
+    expect(server.size).toBe(0);
+    // queued local data is used without requesting remote data
+    server.set('/drafts/form%23test', entry(2));
+    expect(await storage.getItem('form#test')).toBe(entry(1));
+    await storage.removeItem('form#test');
+    await storage.flush();
+    expect(server.size).toBe(0);
+});
+
+test('discards queued writes and stops flushing when destroyed', async () => {
+    let storage = createStorage();
+    let onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await storage.setItem('form#test', entry(1));
+    storage.destroy();
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+    await storage.flush();
+    expect(transport).not.toHaveBeenCalled();
+    expect(await storage.getItem('form#test')).toBe(entry(1));
+});
+
+test('reconciles local and remote data by save time', async () => {
+    let storage = createStorage();
+    storage.local.setItem('form#newer', entry(2));
+    server.set('/drafts/form%23newer', entry(1));
+    storage.local.setItem('form#older', entry(1));
+    server.set('/drafts/form%23older', entry(2));
+    storage.local.setItem('form#local', entry(1));
+    server.set('/drafts/form%23same', entry(1));
+    storage.local.setItem('form#same', entry(1));
+    expect(await storage.getItem('form#newer')).toBe(entry(2));
+    expect(server.get('/drafts/form%23newer')).toBe(entry(2));
+    expect(await storage.getItem('form#older')).toBe(entry(2));
+    expect(storage.local.getItem('form#older')).toBe(entry(2));
+    expect(await storage.getItem('form#local')).toBe(entry(1));
+    expect(await storage.getItem('form#same')).toBe(entry(1));
+    expect(await storage.keys()).toEqual(['form#newer', 'form#older', 'form#local', 'form#same']);
+});
+
+test('keeps removals made offline after reloading', async () => {
+    let local = FormPersistence.createMemoryStorage();
+    let storage = createStorage(local);
+    let form = document.forms[0];
+    form.elements['test'].value = 'draft';
+    await FormPersistence.save(form, { uuid: 'test', storage: storage });
+    let onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await FormPersistence.clearStorage(form, { uuid: 'test', storage: storage });
+    storage.destroy();
+    // reload the page once back online
+    onLine.mockReturnValue(true);
+    storage = createStorage(local);
+    form.elements['test'].value = '';
+    await FormPersistence.load(form, { uuid: 'test', storage: storage });
+    expect(form.elements['test'].value).toBe('');
+    expect(local.getItem('form#test')).toBeNull();
+    await storage.flush();
+    expect(server.size).toBe(0);
+    expect(local.keys()).toEqual([]);
+    expect(transport).not.toHaveBeenCalledWith('GET', '/drafts/form%23test');
+});
+
+test('uses local data when remote data cannot be loaded', async () => {
+    let storage = createStorage();
+    storage.local.setItem('form#test', entry(1));
+    transport.mockImplementationOnce(() => Promise.reject(Error('network error')));
+    expect(await storage.getItem('form#test')).toBe(entry(1));
+});
+
+test('sends requests with fetch', async () => {
+    window.fetch = jest.fn((url, init) => Promise.resolve({
+        ok: init.method !== 'DELETE',
+        status: url.endsWith('missing') ? 404 : 200,
+        text: () => Promise.resolve(entry(1))
+    }));
+    let storage = FormPersistence.createRemoteStorage({
+        endpoint: key => 'https://example.com/' + key,
+        headers: { Authorization: 'token' },
+        local: FormPersistence.createMemoryStorage()
+    });
+    await storage.setItem('test', entry(1));
+    expect(window.fetch).toHaveBeenCalledWith('https://example.com/test', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: 'token' },
+        body: entry(1)
+    });
+    expect(await storage.getItem('missing')).toBeNull();
+    await storage.removeItem('test');
+    expect(await storage.getItem('test')).toBeNull();
+    await storage.flush();
+    expect(window.fetch).toHaveBeenLastCalledWith('https://example.com/test', {
+        method: 'DELETE',
+        headers: { Authorization: 'token' }
+    });
+});
+
+test('throws endpoint error', () => {
+    expect(() => FormPersistence.createRemoteStorage({})).toThrow();
+});
+
+function createStorage(local=FormPersistence.createMemoryStorage()) {
+    let storage = FormPersistence.createRemoteStorage({ endpoint: '/drafts/', transport: transport, local: local });
+    storage.local = local;
+    return storage;
+}
+
+function entry(savedAt) {
+    return JSON.stringify({ version: 0, savedAt: savedAt, expiresAt: null, data: { test: [String(savedAt)] } });
+}
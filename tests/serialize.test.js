@@ -111,6 +111,106 @@ const formTests = [
             form.elements[1].checked = true;
         },
         validate: data => expect(data).toEqual({ test: [ false, true ]})
+    },
+    {
+        label: 'serializes contenteditable',
+        form: Forms.ContentEditableForm,
+        setup: form => form.querySelector('[contenteditable]').innerHTML = '<b>test-value</b>',
+        validate: data => expect(data).toEqual({ before: [''], test: ['test-value'] })
+    },
+    {
+        label: 'serializes contenteditable html',
+        form: Forms.ContentEditableForm.replace("name='test'", "name='test' data-persist-html"),
+        setup: form => form.querySelector('[contenteditable]').innerHTML = '<b>test-value</b>',
+        validate: data => expect(data).toEqual({ before: [''], test: ['<b>test-value</b>'] })
+    },
+    {
+        label: 'serializes form-associated custom element',
+        form: Forms.CustomElementForm,
+        setup: form => {
+            let element = form.querySelector('x-rating');
+            Object.defineProperty(element, 'constructor', { value: { formAssociated: true } });
+            element.value = '5';
+        },
+        validate: data => expect(data).toEqual({ test: ['5'] })
+    },
+    {
+        label: 'serializes nested format',
+        form: Forms.NestedForm,
+        setup: form => {
+            form.elements['title'].value = 'test-title';
+            form.elements['address[city]'].value = 'test-city';
+            form.elements['address.zip'].value = '12345';
+            form.elements['items[1][qty]'].value = '2';
+            form.elements[6].checked = true;
+        },
+        validate: data => expect(data).toEqual({
+            title: 'test-title',
+            address: { city: 'test-city', zip: '12345' },
+            items: [{ qty: '' }, { qty: '2' }],
+            tags: [false, true]
+        }),
+        options: { format: 'nested' }
+    },
+    {
+        label: 'serializes typed values',
+        form: Forms.TypedForm,
+        setup: form => {
+            form.elements['number'].value = '1.5';
+            form.elements['range'].value = '3';
+            form.elements['date'].value = '2020-01-02';
+            form.elements['month'].value = '2020-03';
+            form.elements['datetime'].value = '2020-01-02T10:30';
+            form.elements['text'].value = '7';
+        },
+        validate: data => expect(data).toEqual({
+            number: [1.5],
+            range: [3],
+            date: ['2020-01-02T00:00:00.000Z'],
+            month: ['2020-03-01T00:00:00.000Z'],
+            datetime: [new Date(2020, 0, 2, 10, 30).toISOString()],
+            time: [null],
+            text: ['7']
+        }),
+        options: { typed: true }
+    },
+    {
+        label: 'serializes empty typed values as null',
+        form: Forms.TypedForm,
+        setup: () => {},
+        validate: data => expect([data.number, data.date]).toEqual([[null], [null]]),
+        options: { typed: true }
+    },
+    {
+        label: 'serializes according to data-persist attributes',
+        form: Forms.AttributeForm,
+        setup: form => {
+            for (let element of form.elements) {
+                element.value = 'test-value';
+            }
+        },
+        validate: data => expect(data).toEqual({ 'opt-in': ['test-value'] }),
+        options: { exclude: ['test', 'opt-in'] }
+    },
+    {
+        label: 'does not serialize sensitive elements',
+        form: Forms.SensitiveForm,
+        setup: () => {},
+        validate: data => expect(Object.keys(data)).toEqual(['test', 'shipping', 'cardNotes', 'otp'])
+    },
+    {
+        label: 'serializes sensitive elements if not excluded',
+        form: Forms.SensitiveForm,
+        setup: () => {},
+        validate: data => expect(Object.keys(data)).toHaveLength(9),
+        options: { excludeSensitive: false }
+    },
+    {
+        label: 'serializes with custom sensitive patterns',
+        form: Forms.SensitiveForm,
+        setup: () => {},
+        validate: data => expect(Object.keys(data)).toEqual(['cardNumber', 'payment[cvv]', 'ssn', 'cardNotes', 'otp']),
+        options: { sensitivePatterns: [/test|shipping/] }
     }
 ];
 
@@ -121,4 +221,35 @@ formTests.forEach(formTest => {
         formTest.setup(form);
         formTest.validate(FormPersistence.serialize(form, formTest.options));
     });
-});
\ No newline at end of file
+});
+
+test('serializes with registered element handler', () => {
+    FormPersistence.registerElementHandler('x-rating', {
+        read: element => element.getAttribute('value'),
+        write: (element, value) => element.setAttribute('value', value)
+    });
+    document.body.innerHTML = Forms.CustomElementForm;
+    let form = document.forms[0];
+    form.querySelector('x-rating').setAttribute('value', '4');
+    expect(FormPersistence.serialize(form)).toEqual({ test: ['4'] });
+});
+
+test('serializes repeater rows in document order', () => {
+    document.body.innerHTML = Forms.RepeaterForm;
+    let form = document.forms[0];
+    FormPersistence.deserialize(form, { tag: ['a', 'b', 'c'] });
+    let container = form.querySelector('[data-fp-repeat]');
+    container.insertBefore(container.lastElementChild, container.firstElementChild);
+    expect(FormPersistence.serialize(form).tag).toEqual(['c', 'a', 'b']);
+});
+
+test('reports skipped sensitive elements', () => {
+    document.body.innerHTML = Forms.SensitiveForm;
+    let onSkip = jest.fn();
+    FormPersistence.serialize(document.forms[0], { onSkip: onSkip });
+    expect(onSkip).toHaveBeenCalledWith(['card', 'code', 'cardNumber', 'payment[cvv]', 'ssn'], 'sensitive');
+    onSkip.mockClear();
+    let exclude = ['card', 'code', 'cardNumber', 'payment[cvv]', 'ssn'];
+    FormPersistence.serialize(document.forms[0], { onSkip: onSkip, exclude: exclude });
+    expect(onSkip).not.toHaveBeenCalled();
+});
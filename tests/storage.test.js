@@ -0,0 +1,260 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+test('saves and loads with memory storage adapter', () => {
+    let storage = FormPersistence.createMemoryStorage();
+    testStorage(storage);
+    expect(JSON.parse(storage.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('saves and loads with named memory storage adapter', () => {
+    testStorage('memory');
+    expect(JSON.parse(FormPersistence.storages.memory.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+});
+
+test('saves and loads with named session storage adapter', () => {
+    testStorage('session');
+    expect(JSON.parse(sessionStorage.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+});
+
+test('saves and loads with cookie storage adapter', () => {
+    let storage = FormPersistence.createCookieStorage({ secure: false });
+    testStorage(storage);
+    expect(document.cookie).toContain('form%23test=');
+    expect(JSON.parse(storage.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+    FormPersistence.clearStorage(document.forms[0], { uuid: 'test', storage: storage });
+    expect(storage.getItem('form#test')).toBeNull();
+});
+
+test('skips malformed cookies with cookie storage adapter', () => {
+    document.cookie = 'malformed=%E0%A4%A';
+    let storage = FormPersistence.createCookieStorage();
+    storage.setItem('form#test', 'test-value');
+    expect(storage.getItem('form#test')).toBe('test-value');
+    expect(storage.keys()).toContain('form#test');
+    expect(storage.keys()).not.toContain('malformed');
+    storage.removeItem('form#test');
+    document.cookie = 'malformed=; max-age=0';
+});
+
+test('writes secure cookies', () => {
+    let cookieSetter = jest.spyOn(document, 'cookie', 'set');
+    let storage = FormPersistence.createCookieStorage({ secure: true, path: '/forms' });
+    storage.setItem('key', 'value');
+    expect(cookieSetter).toHaveBeenCalledWith(expect.stringContaining('; path=/forms'));
+    expect(cookieSetter).toHaveBeenCalledWith(expect.stringMatching(/; secure$/));
+    cookieSetter.mockRestore();
+});
+
+test('saves and loads with asynchronous storage adapter', async () => {
+    let memory = FormPersistence.createMemoryStorage();
+    let storage = {
+        getItem: key => Promise.resolve(memory.getItem(key)),
+        setItem: (key, value) => Promise.resolve(memory.setItem(key, value)),
+        removeItem: key => Promise.resolve(memory.removeItem(key))
+    };
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    await FormPersistence.save(form, { uuid: 'test', storage: storage });
+    document.body.innerHTML = Forms.SimpleForm;
+    form = document.forms[0];
+    let persistence = FormPersistence.persist(form, { uuid: 'test', storage: storage });
+    await persistence.load();
+    expect(form.elements['test'].value).toBe('test-value');
+    expect(persistence.isDirty()).toBe(false);
+    await persistence.clear();
+    expect(memory.getItem('form#test')).toBeNull();
+    persistence.destroy();
+});
+
+test('throws unknown storage error', () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    expect(() => FormPersistence.save(document.forms[0], { uuid: 'test', storage: 'unknown' })).toThrow();
+});
+
+test('saves and loads with indexeddb storage adapter', async () => {
+    window.indexedDB = createFakeIndexedDB();
+    let storage = FormPersistence.createIndexedDBStorage();
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    await FormPersistence.saveAsync(form, { uuid: 'test', storage: storage });
+    document.body.innerHTML = Forms.SimpleForm;
+    form = document.forms[0];
+    await FormPersistence.loadAsync(form, { uuid: 'test', storage: storage });
+    expect(form.elements['test'].value).toBe('test-value');
+    await FormPersistence.clearStorageAsync(form, { uuid: 'test', storage: storage });
+    expect(await storage.getItem('form#test')).toBeNull();
+    delete window.indexedDB;
+});
+
+test('creates indexeddb object stores of adapters sharing a database', async () => {
+    window.indexedDB = createFakeIndexedDB();
+    let forms = FormPersistence.createIndexedDBStorage();
+    let files = FormPersistence.createIndexedDBStorage({ storeName: 'files' });
+    await forms.setItem('form#test', 'form-value');
+    await files.setItem('form#test#files', 'file-value');
+    expect(await forms.getItem('form#test')).toBe('form-value');
+    expect(await files.getItem('form#test#files')).toBe('file-value');
+    expect(await forms.keys()).toEqual(['form#test']);
+    delete window.indexedDB;
+});
+
+test('rejects when indexeddb is unavailable', async () => {
+    let storage = FormPersistence.createIndexedDBStorage();
+    await expect(storage.getItem('form#test')).rejects.toThrow();
+});
+
+test('rejects when indexeddb transaction fails', async () => {
+    window.indexedDB = createFakeIndexedDB(true);
+    let storage = FormPersistence.createIndexedDBStorage();
+    await expect(storage.setItem('form#test', 'value')).rejects.toThrow('transaction failed');
+    delete window.indexedDB;
+});
+
+test('falls back to next storage adapter upon failure', async () => {
+    let quotaExceeded = jest.fn(() => {
+        throw Error('QuotaExceededError');
+    });
+    let failing = { getItem: quotaExceeded, setItem: quotaExceeded, removeItem: quotaExceeded };
+    let memory = FormPersistence.createMemoryStorage();
+    let storage = FormPersistence.createFallbackStorage([failing, memory]);
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    await FormPersistence.saveAsync(form, { uuid: 'test', storage: storage });
+    expect(JSON.parse(memory.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+    expect(JSON.parse(await storage.getItem('form#test')).data).toEqual({ test: ['test-value'] });
+    await storage.removeItem('form#test');
+    expect(memory.getItem('form#test')).toBeNull();
+    // the failing adapter is tried again by each operation
+    expect(quotaExceeded).toHaveBeenCalledTimes(4);
+});
+
+test('uses recovered fallback storage adapters without hiding fallback data', async () => {
+    let failing = true;
+    let primary = FormPersistence.createMemoryStorage();
+    let flaky = {
+        getItem: key => failing ? Promise.reject(Error('unavailable')) : primary.getItem(key),
+        setItem: (key, value) => failing ? Promise.reject(Error('unavailable')) : primary.setItem(key, value),
+        removeItem: key => failing ? Promise.reject(Error('unavailable')) : primary.removeItem(key),
+        keys: () => failing ? Promise.reject(Error('unavailable')) : primary.keys()
+    };
+    let secondary = FormPersistence.createMemoryStorage();
+    let storage = FormPersistence.createFallbackStorage([flaky, secondary]);
+    await storage.setItem('form#test', entry(1));
+    failing = false;
+    expect(await storage.getItem('form#test')).toBe(entry(1));
+    expect(await storage.keys()).toEqual(['form#test']);
+    await storage.setItem('form#test', entry(2));
+    expect(primary.getItem('form#test')).toBe(entry(2));
+    expect(secondary.getItem('form#test')).toBeNull();
+});
+
+test('reads the most recently saved data from fallback storage adapters', async () => {
+    let primary = FormPersistence.createMemoryStorage();
+    let secondary = FormPersistence.createMemoryStorage();
+    let storage = FormPersistence.createFallbackStorage([primary, secondary]);
+    primary.setItem('form#test', entry(1));
+    secondary.setItem('form#test', entry(2));
+    expect(await storage.getItem('form#test')).toBe(entry(2));
+    secondary.setItem('form#test', entry(1));
+    primary.setItem('form#test', 'legacy');
+    secondary.setItem('form#other', 'legacy');
+    expect(await storage.getItem('form#test')).toBe(entry(1));
+    expect(await storage.getItem('form#other')).toBe('legacy');
+    expect(await storage.getItem('form#missing')).toBeNull();
+});
+
+test('rejects when all fallback storage adapters fail', async () => {
+    let storage = FormPersistence.createFallbackStorage(['indexedDB']);
+    await expect(FormPersistence.saveAsync(document.forms[0], { uuid: 'test', storage: storage })).rejects.toThrow();
+});
+
+test('falls back from indexeddb to local storage by default', async () => {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    await FormPersistence.saveAsync(form, { uuid: 'test-fallback', storage: 'fallback' });
+    expect(JSON.parse(localStorage.getItem('form#test-fallback')).data).toEqual({ test: ['test-value'] });
+});
+
+function entry(savedAt) {
+    return JSON.stringify({ version: 0, savedAt: savedAt, expiresAt: null, data: { test: [String(savedAt)] } });
+}
+
+function testStorage(storage) {
+    document.body.innerHTML = Forms.SimpleForm;
+    let form = document.forms[0];
+    form.elements['test'].value = 'test-value';
+    FormPersistence.save(form, { uuid: 'test', storage: storage });
+    document.body.innerHTML = Forms.SimpleForm;
+    form = document.forms[0];
+    FormPersistence.load(form, { uuid: 'test', storage: storage });
+    expect(form.elements['test'].value).toBe('test-value');
+}
+
+/**
+ * Creates a minimal in-memory imitation of the IndexedDB API, which jsdom does not implement.
+ */
+function createFakeIndexedDB(failTransactions=false) {
+    let stores = {};
+    let version = 0;
+    let connections = [];
+    let connect = () => {
+        let connection = {
+            version: version,
+            objectStoreNames: { contains: name => name in stores },
+            createObjectStore: name => stores[name] = new Map(),
+            close: () => connections = connections.filter(other => other !== connection),
+            transaction: name => {
+                if (!(name in stores)) {
+                    throw Error('object store not found');
+                }
+                let transaction = {};
+                let complete = () => setTimeout(() => {
+                    if (failTransactions) {
+                        transaction.error = Error('transaction failed');
+                        transaction.onerror();
+                    } else {
+                        transaction.oncomplete();
+                    }
+                });
+                let store = stores[name];
+                let request = result => {
+                    complete();
+                    return { result: result };
+                };
+                transaction.objectStore = () => ({
+                    get: key => request(store.get(key)),
+                    put: (value, key) => request(store.set(key, value) && undefined),
+                    delete: key => request(store.delete(key) && undefined),
+                    getAllKeys: () => request([...store.keys()])
+                });
+                return transaction;
+            }
+        };
+        connections.push(connection);
+        return connection;
+    };
+    return {
+        open: (name, requested) => {
+            let request = {};
+            setTimeout(() => {
+                let upgrade = requested === undefined ? version === 0 : requested > version;
+                if (upgrade) {
+                    connections.forEach(connection => connection.onversionchange && connection.onversionchange());
+                    version = requested || 1;
+                }
+                request.result = connect();
+                if (upgrade) {
+                    request.onupgradeneeded();
+                }
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
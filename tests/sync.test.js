@@ -0,0 +1,135 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+let persistences = [];
+
+afterEach(() => {
+    persistences.forEach(persistence => persistence.destroy(true));
+    persistences = [];
+    delete window.BroadcastChannel;
+});
+
+test('applies data saved by other tabs', () => {
+    let form = setupForm({ syncTabs: true });
+    saveFromOtherTab({ test1: ['remote1'], test2: ['remote2'] });
+    expect(form.elements['test1'].value).toBe('remote1');
+    expect(form.elements['test2'].value).toBe('remote2');
+    expect(persistences[0].isDirty()).toBe(false);
+});
+
+test('ignores storage events for other keys', () => {
+    let form = setupForm({ syncTabs: true });
+    saveFromOtherTab({ test1: ['remote1'] }, 'form#other');
+    expect(form.elements['test1'].value).toBe('');
+});
+
+test('does not sync tabs by default', () => {
+    let form = setupForm();
+    saveFromOtherTab({ test1: ['remote1'] });
+    expect(form.elements['test1'].value).toBe('');
+});
+
+test('applies data saved by other tabs regardless of load strategy', () => {
+    let form = setupForm({ syncTabs: true, loadStrategy: 'onlyEmpty' });
+    form.elements['test1'].value = 'local1';
+    saveFromOtherTab({ test1: ['remote1'], test2: ['remote2'] });
+    expect(form.elements['test1'].value).toBe('remote1');
+});
+
+test('merges data saved by other tabs with local changes', () => {
+    let form = setupForm({ syncTabs: true, syncStrategy: 'merge' });
+    form.elements['test1'].value = 'local1';
+    saveFromOtherTab({ test1: ['remote1'], test2: ['remote2'] });
+    expect(form.elements['test1'].value).toBe('local1');
+    expect(form.elements['test2'].value).toBe('remote2');
+});
+
+test('merges consecutive data saved by other tabs', () => {
+    let form = setupForm({ syncTabs: true, syncStrategy: 'merge' });
+    saveFromOtherTab({ test1: ['remote1'], test2: [''] });
+    expect(persistences[0].isDirty()).toBe(false);
+    saveFromOtherTab({ test1: ['remote2'], test2: [''] });
+    expect(form.elements['test1'].value).toBe('remote2');
+    expect(persistences[0].isDirty()).toBe(false);
+    // local changes made after syncing are still kept
+    form.elements['test2'].value = 'local2';
+    saveFromOtherTab({ test1: ['remote3'], test2: [''] });
+    expect(form.elements['test2'].value).toBe('local2');
+    expect(persistences[0].getChangedFields()).toEqual(['test2']);
+});
+
+test('resolves consecutive data saved by other tabs with callback', () => {
+    let form = setupForm({ syncTabs: true, syncStrategy: (local, remote) => remote });
+    saveFromOtherTab({ test1: ['remote1'], test2: [''] });
+    saveFromOtherTab({ test1: ['remote2'], test2: [''] });
+    expect(form.elements['test1'].value).toBe('remote2');
+    expect(persistences[0].isDirty()).toBe(false);
+});
+
+test('resolves data saved by other tabs with callback', () => {
+    let strategy = jest.fn((local, remote) => Object.assign({}, remote, { test2: ['resolved'] }));
+    let form = setupForm({ syncTabs: true, syncStrategy: strategy });
+    form.elements['test1'].value = 'local1';
+    saveFromOtherTab({ test1: ['remote1'], test2: ['remote2'] });
+    expect(strategy).toHaveBeenCalledWith(
+        { test1: ['local1'], test2: [''] },
+        { test1: ['remote1'], test2: ['remote2'] },
+        expect.objectContaining({ version: 0 }));
+    expect(form.elements['test1'].value).toBe('remote1');
+    expect(form.elements['test2'].value).toBe('resolved');
+});
+
+test('ignores data saved by other tabs when callback declines', () => {
+    let form = setupForm({ syncTabs: true, syncStrategy: () => false });
+    form.elements['test1'].value = 'local1';
+    saveFromOtherTab({ test1: ['remote1'] });
+    expect(form.elements['test1'].value).toBe('local1');
+});
+
+test('syncs tabs via broadcast channel', () => {
+    let channels = [];
+    window.BroadcastChannel = class {
+        constructor(name) {
+            this.name = name;
+            channels.push(this);
+        }
+        postMessage(data) {
+            channels.filter(channel => channel !== this && channel.name === this.name)
+                .forEach(channel => channel.onmessage({ data }));
+        }
+        close() {
+            channels = channels.filter(channel => channel !== this);
+        }
+    };
+    let options = { uuid: 'test', syncTabs: true, storage: FormPersistence.createMemoryStorage() };
+    document.body.innerHTML = Forms.ComplexForm + Forms.ComplexForm;
+    let localForm = document.forms[0];
+    let remoteForm = document.forms[1];
+    persistences.push(FormPersistence.persist(localForm, options));
+    let remote = FormPersistence.persist(remoteForm, options);
+    remoteForm.elements['test1'].value = 'remote1';
+    remote.save();
+    expect(localForm.elements['test1'].value).toBe('remote1');
+    channels[0].postMessage({ key: 'form#other' });
+    remote.destroy();
+    expect(channels).toHaveLength(1);
+});
+
+function setupForm(options) {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    persistences.push(FormPersistence.persist(form, Object.assign({ uuid: 'test' }, options)));
+    return form;
+}
+
+/**
+ * Imitates another tab saving the given data, which fires a storage event in this tab.
+ */
+function saveFromOtherTab(data, key='form#test') {
+    let value = JSON.stringify({ version: 0, savedAt: Date.now(), expiresAt: null, data: data });
+    localStorage.setItem(key, value);
+    let event = new Event('storage');
+    event.key = key;
+    event.newValue = value;
+    window.dispatchEvent(event);
+}
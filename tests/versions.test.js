@@ -0,0 +1,74 @@
+const FormPersistence = require('../form-persistence');
+const Forms = require('./forms');
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('stores data version', () => {
+    saveEntry({ version: 2 });
+    expect(JSON.parse(localStorage.getItem('form#test')).version).toBe(2);
+});
+
+test('loads data of the same version', () => {
+    saveEntry({ version: 2 });
+    let form = loadForm({ version: 2, migrations: { 1: () => null } });
+    expect(form.elements['test1'].value).toBe('value1');
+});
+
+test('migrates data step by step', () => {
+    saveEntry({ version: 1 }, { old: ['value1'] });
+    let migrations = {
+        1: data => ({ test1: data.old }),
+        2: data => Object.assign({}, data, { test2: ['value2'] })
+    };
+    let form = loadForm({ version: 3, migrations: migrations });
+    expect(form.elements['test1'].value).toBe('value1');
+    expect(form.elements['test2'].value).toBe('value2');
+});
+
+test('migrates data saved without version', () => {
+    localStorage.setItem('form#test', JSON.stringify({ old: ['value1'] }));
+    let form = loadForm({ version: 1, migrations: { 0: data => ({ test1: data.old }) } });
+    expect(form.elements['test1'].value).toBe('value1');
+});
+
+test('discards data without migration path', () => {
+    saveEntry({ version: 1 });
+    let form = loadForm({ version: 3, migrations: { 2: data => data } });
+    expect(form.elements['test1'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('discards data rejected by migration', () => {
+    saveEntry({ version: 1 });
+    let form = loadForm({ version: 2, migrations: { 1: () => false } });
+    expect(form.elements['test1'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+test('discards data saved by newer version', () => {
+    saveEntry({ version: 2 });
+    let form = loadForm({ version: 1 });
+    expect(form.elements['test1'].value).toBe('');
+    expect(localStorage.getItem('form#test')).toBeNull();
+});
+
+function saveEntry(options, data) {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    form.elements['test1'].value = 'value1';
+    FormPersistence.save(form, Object.assign({ uuid: 'test' }, options));
+    if (data) {
+        let entry = JSON.parse(localStorage.getItem('form#test'));
+        entry.data = data;
+        localStorage.setItem('form#test', JSON.stringify(entry));
+    }
+}
+
+function loadForm(options) {
+    document.body.innerHTML = Forms.ComplexForm;
+    let form = document.forms[0];
+    FormPersistence.load(form, Object.assign({ uuid: 'test' }, options));
+    return form;
+}